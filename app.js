@@ -5,7 +5,20 @@ const compression = require('compression');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
+const redisClient = require('./src/config/redis');
+const logger = require('./src/utils/logger');
+
+// 공유 캐시(Redis) 연결: REDIS_URL이 없으면 각 서비스의 로컬 캐시만 사용
+// 서비스 모듈이 require 시점에 저장 상태를 읽으므로(PersistentStore) 그보다 먼저 연결을 시작한다
+if (process.env.REDIS_URL) {
+  redisClient.connect().catch(err => logger.error('Redis 연결 실패:', err.message));
+}
+
 const NewsService = require('./src/services/newsService');
+const currencyService = require('./src/services/currencyservice');
+const { FEED_FORMATS } = require('./src/utils/feed');
+const apiRoutes = require('./src/routes/api');
+const adminRoutes = require('./src/routes/admin');
 
 const app = express();
 
@@ -53,12 +66,14 @@ app.get("/", (req, res) => {
 });
 
 const news = new NewsService();
+app.locals.news = news;
 
 app.get('/api/:section/fast', async (req, res, next) => {
+  if (!news.isValidSection(req.params.section)) return next();
   try {
-    const result = await news.getNews(req.params.section, true);
+    const result = await news.getSectionFast(req.params.section);
     if (result.success) {
-      res.json(result.data);
+      res.json(news.presentSection(result.data, { explain: req.query.explain === 'true' }));
     } else {
       res.status(500).json({ error: 'Failed to fetch news' });
     }
@@ -67,11 +82,13 @@ app.get('/api/:section/fast', async (req, res, next) => {
   }
 });
 
+// 섹션이 아닌 경로(/api/currency 등)는 서비스 라우터(src/routes/api.js)로 넘김
 app.get('/api/:section', async (req, res, next) => {
+  if (!news.isValidSection(req.params.section)) return next();
   try {
     const result = await news.getNews(req.params.section, false);
     if (result.success) {
-      res.json(result.data);
+      res.json(news.presentSection(result.data, { explain: req.query.explain === 'true' }));
     } else {
       res.status(500).json({ error: 'Failed to fetch news' });
     }
@@ -80,15 +97,27 @@ app.get('/api/:section', async (req, res, next) => {
   }
 });
 
+// 섹션 검증 미들웨어
+const validateSection = (req, res, next) => {
+  if (!news.isValidSection(req.params.section)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid section',
+      validSections: news.getSections()
+    });
+  }
+  next();
+};
+
 // 프론트엔드 호환을 위한 /api/news/:section 라우트
-app.get('/api/news/:section', async (req, res, next) => {
+app.get('/api/news/:section', validateSection, async (req, res, next) => {
   try {
     const result = await news.getNews(req.params.section, true);
     if (result.success) {
-      // 프론트엔드가 기대하는 형식으로 응답
+      // 프론트엔드가 기대하는 형식으로 응답 (explain=true면 랭킹 근거 포함)
       res.json({
         success: true,
-        data: result.data
+        data: news.presentSection(result.data, { explain: req.query.explain === 'true' })
       });
     } else {
       res.status(500).json({ error: 'Failed to fetch news' });
@@ -99,7 +128,7 @@ app.get('/api/news/:section', async (req, res, next) => {
 });
 
 // 상세 기사 조회 API 엔드포인트
-app.get('/api/article/:section/:id', async (req, res, next) => {
+app.get('/api/article/:section/:id', validateSection, async (req, res, next) => {
   try {
     const { section, id } = req.params;
     // ID에 섹션 정보가 이미 포함되어 있는지 확인
@@ -108,7 +137,7 @@ app.get('/api/article/:section/:id', async (req, res, next) => {
     if (result.success) {
       res.json({
         success: true,
-        data: result.data
+        data: news.presentArticle(result.data)
       });
     } else {
       res.status(404).json({ 
@@ -121,6 +150,79 @@ app.get('/api/article/:section/:id', async (req, res, next) => {
   }
 });
 
+// 섹션 피드 (RSS / Atom / JSON Feed)
+app.get('/api/feed/:section.:format', validateSection, async (req, res, next) => {
+  try {
+    const { section, format } = req.params;
+    const feedFormat = FEED_FORMATS[format];
+    if (!feedFormat) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid feed format',
+        validFormats: Object.keys(FEED_FORMATS)
+      });
+    }
+
+    const result = await news.getNews(section, true);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to fetch news' });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    res.type(feedFormat.contentType);
+    res.send(feedFormat.serialize(section, news.presentSection(result.data).articles, { baseUrl }));
+  } catch (e) {
+    next(e);
+  }
+});
+
+// 섹션 실시간 스트림 (SSE): 새 기사 유입(articles)과 백필 완료(backfill) 알림
+app.get('/api/stream/:section', validateSection, (req, res) => {
+  const { section } = req.params;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // compression 미들웨어 버퍼를 매 이벤트마다 비움
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    if (typeof res.flush === 'function') res.flush();
+  };
+
+  const onArticles = (payload) => {
+    if (payload.section === section) send('articles', payload);
+  };
+  const onBackfill = (payload) => {
+    if (payload.section === section) send('backfill', payload);
+  };
+
+  news.events.on('articles', onArticles);
+  news.events.on('backfill', onBackfill);
+  send('ready', { section, timestamp: new Date().toISOString() });
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    if (typeof res.flush === 'function') res.flush();
+  }, 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    news.events.off('articles', onArticles);
+    news.events.off('backfill', onBackfill);
+  });
+});
+
+// 관리자 API (ADMIN_TOKEN 필요)
+app.use('/api/admin', adminRoutes);
+
+// 번역/요약/환율/유튜브 등 서비스 API
+app.use('/api', apiRoutes);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
@@ -132,6 +234,10 @@ app.use((err, req, res, next) => {
 });
 
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => console.log(`News API ready on port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`News API ready on port ${PORT}`);
+  // 환율 주기 갱신 (갱신마다 환율 알림 규칙 평가)
+  currencyService.startBackgroundUpdates();
+});
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// 오프라인 랭킹 평가: 캡처된 섹션 스냅샷(test_fast.json, test_full.json 등)을
+// rankAndSort + RatingService로 재생해 가중치 프로필별 순서를 비교하고,
+// 편집자 관련도 라벨이 있으면 NDCG@k / P@k로 채점한다.
+//
+// 사용법:
+//   node scripts/rank-eval.js --snapshot test_full.json [--snapshot test_fast.json]
+//     [--labels relevance.json] [--profiles profiles.json] [--profile name=f,v,e,s,d,l]
+//     [--stored] [--section world] [--k 10] [--json]
+//
+// labels:   { "<url 또는 id>": 0-3 } 또는 [{ "url": "...", "id": "...", "relevance": 2 }]
+// profiles: { "이름": { "f": 0.3, "v": 0.2, ... } } 또는 섹션별 { "이름": { "world": { ... } } }
+// --stored: 관리자 API로 저장된 현재 프로필(weight-profiles)도 비교 대상에 포함
+//
+// 기준선: current(코드 기본 프로필), recency(최신순), importance(RatingService 중요도순)
+
+const fs = require('fs');
+const path = require('path');
+const { WEIGHT_KEYS, getSectionWeights, rankAndSort } = require('../src/utils/ranking');
+const ratingService = require('../src/services/ratingservice');
+
+const usage = () => {
+  console.log('Usage: node scripts/rank-eval.js --snapshot <file> [--snapshot <file>] [--labels <file>]');
+  console.log('         [--profiles <file>] [--profile name=f,v,e,s,d,l] [--stored] [--section <name>] [--k 10] [--json]');
+};
+
+const parseArgs = (argv) => {
+  const args = { snapshots: [], inlineProfiles: [], k: 10, json: false, stored: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--snapshot': args.snapshots.push(next()); break;
+      case '--labels': args.labels = next(); break;
+      case '--profiles': args.profiles = next(); break;
+      case '--profile': args.inlineProfiles.push(next()); break;
+      case '--section': args.section = next(); break;
+      case '--k': args.k = parseInt(next(), 10) || 10; break;
+      case '--stored': args.stored = true; break;
+      case '--json': args.json = true; break;
+      case '-h':
+      case '--help': args.help = true; break;
+      default: throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return args;
+};
+
+const readJSON = (file) => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+// 라벨: url과 id 양쪽으로 찾을 수 있게 Map 하나로
+const loadLabels = (file) => {
+  if (!file) return null;
+  const raw = readJSON(file);
+  const labels = new Map();
+  const entries = Array.isArray(raw) ? raw : Object.entries(raw).map(([key, relevance]) => ({ key, relevance }));
+  entries.forEach(({ key, url, id, relevance }) => {
+    [key, url, id].filter(Boolean).forEach(k => labels.set(k, Number(relevance) || 0));
+  });
+  return labels;
+};
+
+const relevanceOf = (labels, article) =>
+  labels.get(article.url) ?? labels.get(article.id) ?? 0;
+
+const parseInlineProfile = (spec) => {
+  const [name, values] = spec.split('=');
+  const numbers = (values || '').split(',').map(Number);
+  if (!name || numbers.length !== WEIGHT_KEYS.length || numbers.some(Number.isNaN)) {
+    throw new Error(`Invalid --profile "${spec}" (expected name=${WEIGHT_KEYS.join(',')})`);
+  }
+  return [name, Object.fromEntries(WEIGHT_KEYS.map((key, i) => [key, numbers[i]]))];
+};
+
+// 프로필 파일 값이 섹션별이면 해당 섹션 것을, 아니면 그대로
+const profileForSection = (profile, section) => {
+  if (WEIGHT_KEYS.every(key => typeof profile[key] === 'number')) return profile;
+  return profile[section] || null;
+};
+
+const dcg = (grades) => grades.reduce((sum, rel, i) => sum + (Math.pow(2, rel) - 1) / Math.log2(i + 2), 0);
+
+const ndcg = (grades, k) => {
+  const ideal = dcg([...grades].sort((a, b) => b - a).slice(0, k));
+  return ideal > 0 ? dcg(grades.slice(0, k)) / ideal : null;
+};
+
+const precisionAt = (grades, k) => {
+  const top = grades.slice(0, k);
+  return top.length > 0 ? top.filter(rel => rel > 0).length / top.length : null;
+};
+
+// Kendall tau: 두 순서에서 같은 방향인 쌍의 비율 (-1 ~ 1)
+const kendallTau = (order, reference) => {
+  const pos = new Map(reference.map((key, i) => [key, i]));
+  let concordant = 0;
+  let discordant = 0;
+  for (let i = 0; i < order.length; i++) {
+    for (let j = i + 1; j < order.length; j++) {
+      if (pos.get(order[i]) < pos.get(order[j])) concordant++;
+      else discordant++;
+    }
+  }
+  const pairs = concordant + discordant;
+  return pairs > 0 ? (concordant - discordant) / pairs : 1;
+};
+
+const overlapAt = (order, reference, k) => {
+  const top = new Set(reference.slice(0, k));
+  return order.slice(0, k).filter(key => top.has(key)).length / Math.max(1, Math.min(k, order.length));
+};
+
+async function evaluateSnapshot(file, { section: sectionArg, labels, profiles, k }) {
+  const snapshot = readJSON(file);
+  const articles = snapshot.articles || [];
+  const section = sectionArg || articles[0]?.section || 'world';
+  const now = new Date(snapshot.timestamp || Date.now()).getTime();
+  const keyOf = (article) => article.url || article.id;
+
+  // 수집 파이프라인과 같이 최신순 입력 (다양성 패널티가 입력 순서에 의존)
+  const input = [...articles].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+  const analyses = new Map(await Promise.all(input.map(async article =>
+    [keyOf(article), await ratingService.analyze(article, { now })]
+  )));
+
+  const orderings = {
+    recency: input.map(keyOf),
+    importance: [...input]
+      .sort((a, b) => analyses.get(keyOf(b)).importance - analyses.get(keyOf(a)).importance)
+      .map(keyOf)
+  };
+  const candidates = [['current', getSectionWeights(section)], ...profiles
+    .map(([name, profile]) => [name, profileForSection(profile, section)])
+    .filter(([, weights]) => weights)];
+  candidates.forEach(([name, weights]) => {
+    orderings[name] = rankAndSort(section, input, { weights, now }).map(keyOf);
+  });
+
+  const byKey = new Map(input.map(article => [keyOf(article), article]));
+  const reference = orderings.current;
+  const results = Object.entries(orderings).map(([name, order]) => {
+    const grades = labels ? order.map(key => relevanceOf(labels, byKey.get(key))) : null;
+    return {
+      profile: name,
+      weights: candidates.find(([candidate]) => candidate === name)?.[1] || null,
+      ndcgAtK: grades ? ndcg(grades, k) : null,
+      ndcg: grades ? ndcg(grades, grades.length) : null,
+      precisionAtK: grades ? precisionAt(grades, k) : null,
+      tauVsCurrent: kendallTau(order, reference),
+      overlapAtKVsCurrent: overlapAt(order, reference, k),
+      top: order.slice(0, k).map(key => byKey.get(key).title)
+    };
+  });
+
+  // current 대비 가장 많이 움직인 기사 (비교 프로필별 상위 3개)
+  const movers = Object.fromEntries(candidates.slice(1).map(([name]) => {
+    const order = orderings[name];
+    const moves = order.map((key, i) => ({ title: byKey.get(key).title, from: reference.indexOf(key) + 1, to: i + 1 }))
+      .sort((a, b) => Math.abs(b.from - b.to) - Math.abs(a.from - a.to))
+      .slice(0, 3);
+    return [name, moves];
+  }));
+
+  return {
+    snapshot: file,
+    section,
+    capturedAt: new Date(now).toISOString(),
+    articles: input.length,
+    labelled: labels ? input.filter(article => labels.has(article.url) || labels.has(article.id)).length : 0,
+    k,
+    results,
+    movers
+  };
+}
+
+const fmt = (value) => (value === null || value === undefined ? '   -  ' : value.toFixed(3).padStart(6));
+
+const printReport = (report) => {
+  console.log(`\n== ${report.snapshot} (section: ${report.section}, ${report.articles} articles, ` +
+    `captured ${report.capturedAt}, labelled ${report.labelled})`);
+  console.log(`${'profile'.padEnd(14)} NDCG@${report.k}   NDCG    P@${report.k}    tau    overlap@${report.k}`);
+  report.results.forEach(r => {
+    console.log(`${r.profile.padEnd(14)} ${fmt(r.ndcgAtK)}  ${fmt(r.ndcg)}  ${fmt(r.precisionAtK)}  ${fmt(r.tauVsCurrent)}  ${fmt(r.overlapAtKVsCurrent)}`);
+  });
+  Object.entries(report.movers).forEach(([name, moves]) => {
+    console.log(`\n  Biggest movers vs current (${name}):`);
+    moves.forEach(m => console.log(`    ${String(m.from).padStart(3)} → ${String(m.to).padEnd(3)} ${m.title}`));
+  });
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || args.snapshots.length === 0) {
+    usage();
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  const labels = loadLabels(args.labels);
+  const profiles = [
+    ...(args.profiles ? Object.entries(readJSON(args.profiles)) : []),
+    ...args.inlineProfiles.map(parseInlineProfile)
+  ];
+
+  const reports = [];
+  for (const file of args.snapshots) {
+    const snapshotProfiles = [...profiles];
+    if (args.stored) {
+      // 관리자 API 저장소 (REDIS_URL 없이 실행하면 DATA_DIR 파일)
+      const weightProfiles = require('../src/services/weightprofiles');
+      const section = args.section || readJSON(file).articles?.[0]?.section || 'world';
+      const stored = await weightProfiles.getProfile(section);
+      if (stored.version > 0) snapshotProfiles.push([`stored-v${stored.version}`, stored.weights]);
+    }
+    reports.push(await evaluateSnapshot(file, { section: args.section, labels, profiles: snapshotProfiles, k: args.k }));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(printReport);
+    if (!labels) console.log('\n(no --labels given: NDCG/P@k skipped, orderings compared only)');
+  }
+}
+
+main().catch(error => {
+  console.error(`rank-eval failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// 추적 통화 구성 파일 (표시 정보·폴백 환율 카탈로그 + 추적 목록)
+// CURRENCY_CONFIG로 다른 JSON 파일을, CURRENCY_CODES="USD,JPY,GBP"로 추적 목록만 바꿀 수 있다.
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'currencies.json');
+
+function loadCurrencyConfig(configPath = process.env.CURRENCY_CONFIG || DEFAULT_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const base = (raw.base || 'KRW').toUpperCase();
+  const tracked = (process.env.CURRENCY_CODES ? process.env.CURRENCY_CODES.split(',') : raw.tracked || [])
+    .map(code => code.trim().toUpperCase())
+    .filter((code, index, self) => {
+      if (!/^[A-Z]{3}$/.test(code) || code === base) {
+        if (code) logger.warn(`Invalid tracked currency "${code}", skipping`);
+        return false;
+      }
+      return self.indexOf(code) === index;
+    });
+
+  // 카탈로그에 없는 통화는 코드만으로 표시
+  const currencies = Object.fromEntries(tracked.map(code => [code, {
+    symbol: code,
+    name: code,
+    flag: '',
+    fallbackRate: null,
+    ...(raw.currencies || {})[code]
+  }]));
+
+  return { base, tracked, currencies };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  loadCurrencyConfig
+};
@@ -5,9 +5,27 @@ class RedisClient {
   constructor() {
     this.client = null;
     this.isConnected = false;
+    this.connecting = null;
   }
 
-  async connect() {
+  connect() {
+    this.connecting = this.open();
+    return this.connecting;
+  }
+
+  // 연결 시도 중이면 연결되거나 timeoutMs가 지날 때까지 대기 (시도하지 않았으면 바로 반환)
+  // 초기 연결이 실패하면 클라이언트가 재연결을 계속하느라 connect()가 끝나지 않으므로 시간 제한을 둔다.
+  async waitForConnection(timeoutMs = Number(process.env.REDIS_CONNECT_WAIT_MS || 5000)) {
+    if (!this.connecting || this.isConnected) return this.isConnected;
+    let timer;
+    await Promise.race([
+      this.connecting.catch(() => {}),
+      new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+    ]).finally(() => clearTimeout(timer));
+    return this.isConnected;
+  }
+
+  async open() {
     try {
       // Redis 클라이언트 생성
       this.client = createClient({
@@ -54,7 +72,12 @@ class RedisClient {
     try {
       if (!this.isConnected) return false;
       const serialized = JSON.stringify(value);
-      await this.client.setEx(key, ttl, serialized);
+      // ttl이 null/0이면 만료 없이 보관
+      if (ttl) {
+        await this.client.setEx(key, ttl, serialized);
+      } else {
+        await this.client.set(key, serialized);
+      }
       return true;
     } catch (error) {
       console.error('Redis SET 오류:', error);
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// 섹션별 소스 구성 파일
+// NEWS_SOURCES_CONFIG로 다른 JSON 파일을 지정할 수 있다.
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'sources.json');
+
+function loadSectionSources(configPath = process.env.NEWS_SOURCES_CONFIG || DEFAULT_CONFIG_PATH) {
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const sections = {};
+
+  Object.entries(raw).forEach(([section, sources]) => {
+    if (!Array.isArray(sources)) {
+      logger.warn(`Source config for section "${section}" is not an array, skipping`);
+      return;
+    }
+    sections[section] = sources.filter((source) => {
+      if (!source || !source.type) {
+        logger.warn(`Source without type in section "${section}", skipping`);
+        return false;
+      }
+      return source.enabled !== false;
+    });
+  });
+
+  return sections;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  loadSectionSources
+};
@@ -0,0 +1,588 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+
+const aiService = require('../services/aiservice');
+const weightProfiles = require('../services/weightprofiles');
+const keywordDictionary = require('../services/keyworddictionary');
+const sourceReliability = require('../services/sourcereliability');
+const currencyService = require('../services/currencyservice');
+const currencyAlerts = require('../services/currencyalerts');
+const youtubeChannels = require('../services/youtubechannels');
+
+// 서비스 결과({ success: false, error, details, notFound })를 오류 응답으로 변환
+const failureStatus = (result) => (result.notFound ? 404 : 400);
+const failureBody = ({ error, details }) => ({ success: false, error, details });
+
+// 관리자 인증: ADMIN_TOKEN이 설정되어 있어야 하며 x-admin-token 헤더(또는 Bearer)로 전달
+router.use((req, res, next) => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is disabled (ADMIN_TOKEN not set)'
+    });
+  }
+
+  const auth = req.get('authorization') || '';
+  const provided = req.get('x-admin-token') || (auth.startsWith('Bearer ') ? auth.slice(7) : '');
+  if (provided !== token) {
+    logger.security(`Admin auth failed: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+  }
+  next();
+});
+
+// ids: 배열 또는 쉼표 구분 문자열. 없으면 전체
+const parseIds = (value) => {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === 'string' && value.trim()) return value.split(',').map(id => id.trim());
+  return undefined;
+};
+
+// AI dead letter 목록
+router.get('/ai/dead-letters', async (req, res) => {
+  try {
+    await aiService.ready;
+    const deadLetters = aiService.listDeadLetters();
+    res.json({
+      success: true,
+      data: {
+        deadLetters,
+        total: deadLetters.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Dead letter list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list dead letters',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// AI dead letter 재실행 (body.ids가 없으면 전체)
+router.post('/ai/dead-letters/replay', async (req, res) => {
+  try {
+    const result = await aiService.replayDeadLetters(parseIds(req.body?.ids));
+    res.json({
+      success: true,
+      data: { ...result, timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Dead letter replay error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay dead letters',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// AI dead letter 삭제 (?ids= 또는 body.ids가 없으면 전체)
+router.delete('/ai/dead-letters', async (req, res) => {
+  try {
+    const purged = await aiService.purgeDeadLetters(parseIds(req.query.ids ?? req.body?.ids));
+    res.json({
+      success: true,
+      data: { purged, timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Dead letter purge error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge dead letters',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.delete('/ai/dead-letters/:id', async (req, res) => {
+  try {
+    const purged = await aiService.purgeDeadLetters([req.params.id]);
+    if (purged === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dead letter not found'
+      });
+    }
+    res.json({
+      success: true,
+      data: { purged, timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Dead letter purge error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to purge dead letter',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 섹션 가중치 프로필 (f: 최신성, v: 반응 속도, e: 참여도, s: 신뢰도, d: 다양성 패널티, l: 로케일)
+const validateSection = (req, res, next) => {
+  const news = req.app.locals.news;
+  if (!news.isValidSection(req.params.section)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid section',
+      validSections: news.getSections()
+    });
+  }
+  next();
+};
+
+router.get('/weights', async (req, res) => {
+  try {
+    const profiles = await weightProfiles.listProfiles(req.app.locals.news.getSections());
+    res.json({
+      success: true,
+      data: { profiles, timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Weight profile list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list weight profiles',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.get('/weights/:section', validateSection, async (req, res) => {
+  try {
+    const history = await weightProfiles.getHistory(req.params.section);
+    res.json({
+      success: true,
+      data: { ...history, timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Weight profile read error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read weight profile',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 새 버전 생성 (일부 키만 보내면 현재 값에 병합)
+router.put('/weights/:section', validateSection, async (req, res) => {
+  try {
+    const { weights, note } = req.body || {};
+    const result = await weightProfiles.update(req.params.section, weights, { note });
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json({
+      success: true,
+      data: { profile: result.data, timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Weight profile update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update weight profile',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 롤백 (body.version이 없으면 직전 버전, 0이면 기본값)
+router.post('/weights/:section/rollback', validateSection, async (req, res) => {
+  try {
+    const result = await weightProfiles.rollback(req.params.section, req.body?.version);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json({
+      success: true,
+      data: { profile: result.data, timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Weight profile rollback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back weight profile',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 편집자 키워드 사전 (평점 요인·태그)
+router.get('/keywords', async (req, res) => {
+  try {
+    await keywordDictionary.ready;
+    res.json({
+      success: true,
+      data: { ...keywordDictionary.list(), timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Keyword dictionary list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list keyword dictionaries',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.get('/keywords/:name', async (req, res) => {
+  try {
+    await keywordDictionary.ready;
+    const dictionary = keywordDictionary.get(req.params.name);
+    if (!dictionary) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dictionary not found'
+      });
+    }
+    res.json({
+      success: true,
+      data: { name: req.params.name, version: keywordDictionary.list().version, dictionary }
+    });
+  } catch (error) {
+    logger.error('Keyword dictionary fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get keyword dictionary',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 사전 생성/교체: { tag, kind: 'category'|'topic', entries: { en: [...], ko: [...] } }
+router.put('/keywords/:name', async (req, res) => {
+  try {
+    const result = await keywordDictionary.upsert(req.params.name, req.body || {});
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(failureBody(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Keyword dictionary update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update keyword dictionary',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 키워드 추가/삭제: { language: 'en', keywords: [...] }
+router.post('/keywords/:name/entries', async (req, res) => {
+  try {
+    const { language, keywords } = req.body || {};
+    const result = await keywordDictionary.addKeywords(req.params.name, language, keywords);
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(failureBody(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Keyword add error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add keywords',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.delete('/keywords/:name/entries', async (req, res) => {
+  try {
+    const { language, keywords } = req.body || {};
+    const result = await keywordDictionary.removeKeywords(req.params.name, language, keywords);
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(failureBody(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Keyword remove error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove keywords',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.delete('/keywords/:name', async (req, res) => {
+  try {
+    const result = await keywordDictionary.remove(req.params.name);
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(failureBody(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Keyword dictionary delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete keyword dictionary',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 출처 신뢰도 레지스트리 (평점 가산점·대표 기사 선정·랭킹 신뢰도)
+router.get('/sources', async (req, res) => {
+  try {
+    await sourceReliability.ready;
+    res.json({
+      success: true,
+      data: { ...sourceReliability.list(), timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Source registry list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sources',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 항목 생성/수정: { name, aliases, tier, language, country, bias, notes } (기존 항목은 보낸 필드만 변경)
+router.put('/sources/:domain', async (req, res) => {
+  try {
+    const result = await sourceReliability.upsert(req.params.domain, req.body || {});
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(failureBody(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Source registry update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update source',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.delete('/sources/:domain', async (req, res) => {
+  try {
+    const result = await sourceReliability.remove(req.params.domain);
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(failureBody(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Source registry delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete source',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 환율 알림 규칙: { code, type: 'above'|'below'|'change', threshold, webhookUrl, secret?, enabled?, note? }
+const alertError = ({ error, details }) => ({ success: false, error, details });
+
+router.get('/currency/alerts', async (req, res) => {
+  try {
+    const rules = await currencyAlerts.listRules();
+    res.json({
+      success: true,
+      data: { rules, total: rules.length, timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Currency alert list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list alert rules',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.get('/currency/alerts/deliveries', async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const deliveries = await currencyAlerts.listDeliveries({ ruleId: req.query.ruleId, limit });
+    res.json({
+      success: true,
+      data: { deliveries, total: deliveries.length, timestamp: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error('Currency alert delivery log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list alert deliveries',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 생성 (secret을 생략하면 생성된 값이 이 응답에서만 반환됨)
+router.post('/currency/alerts', async (req, res) => {
+  try {
+    const result = await currencyAlerts.createRule(req.body || {}, currencyService.tracked);
+    if (!result.success) {
+      return res.status(400).json(alertError(result));
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Currency alert create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create alert rule',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.put('/currency/alerts/:id', async (req, res) => {
+  try {
+    const result = await currencyAlerts.updateRule(req.params.id, req.body || {}, currencyService.tracked);
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 400).json(alertError(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Currency alert update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update alert rule',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.delete('/currency/alerts/:id', async (req, res) => {
+  try {
+    const result = await currencyAlerts.deleteRule(req.params.id);
+    if (!result.success) {
+      return res.status(404).json(alertError(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Currency alert delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete alert rule',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 테스트 전송 (재시도 포함, 완료까지 대기)
+router.post('/currency/alerts/:id/test', async (req, res) => {
+  try {
+    const result = await currencyAlerts.testRule(req.params.id);
+    if (!result.success) {
+      return res.status(404).json(alertError(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Currency alert test error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send test alert',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// YouTube 채널 레지스트리: { section, name, country, enabled, priority(0-100), intervalMinutes }
+router.get('/youtube/channels', async (req, res) => {
+  await youtubeChannels.ready;
+  const channels = youtubeChannels.list(req.query.section || null);
+  res.json({
+    success: true,
+    data: {
+      version: youtubeChannels.data.version,
+      channels,
+      total: channels.length,
+      timestamp: new Date().toISOString()
+    }
+  });
+});
+
+router.get('/youtube/channels/:id', async (req, res) => {
+  await youtubeChannels.ready;
+  const channel = youtubeChannels.get(req.params.id);
+  if (!channel) {
+    return res.status(404).json({
+      success: false,
+      error: 'Channel not found'
+    });
+  }
+  res.json({ success: true, data: { channel } });
+});
+
+// 채널 추가: body.id 필수
+router.post('/youtube/channels', async (req, res) => {
+  try {
+    const { id, ...fields } = req.body || {};
+    await youtubeChannels.ready;
+    if (youtubeChannels.get(id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Channel already exists'
+      });
+    }
+    const result = await youtubeChannels.upsert(String(id || ''), fields, req.app.locals.news.getSections());
+    if (!result.success) {
+      return res.status(400).json(failureBody(result));
+    }
+    res.status(201).json({ success: true, data: result.data });
+  } catch (error) {
+    logger.error('YouTube channel create error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add channel',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 채널 수정 (보낸 필드만 변경, 예: { "enabled": false })
+router.put('/youtube/channels/:id', async (req, res) => {
+  try {
+    await youtubeChannels.ready;
+    if (!youtubeChannels.get(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Channel not found'
+      });
+    }
+    const result = await youtubeChannels.upsert(req.params.id, req.body || {}, req.app.locals.news.getSections());
+    if (!result.success) {
+      return res.status(400).json(failureBody(result));
+    }
+    res.json({ success: true, data: result.data });
+  } catch (error) {
+    logger.error('YouTube channel update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update channel',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.delete('/youtube/channels/:id', async (req, res) => {
+  try {
+    const result = await youtubeChannels.remove(req.params.id);
+    if (!result.success) {
+      return res.status(404).json(failureBody(result));
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('YouTube channel delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete channel',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -3,11 +3,12 @@ const router = express.Router();
 const logger = require('../utils/logger');
 
 // Import services
-const newsService = require('../services/newsService');
+// (뉴스 서비스는 app.js가 생성한 인스턴스를 req.app.locals.news로 공유)
 const currencyService = require('../services/currencyservice');
 const youtubeService = require('../services/youtubeservice');
 const aiService = require('../services/aiservice');
 const ratingService = require('../services/ratingservice');
+const sourceReliability = require('../services/sourcereliability');
 
 // Middleware for logging API requests
 router.use((req, res, next) => {
@@ -26,11 +27,13 @@ router.use((req, res, next) => {
 // Health check endpoint
 router.get('/health', async (req, res) => {
   try {
+    const sources = req.app.locals.news.getSourceHealth();
     const status = {
-      status: 'healthy',
+      // 서킷이 열린 소스가 있으면 마지막 성공 결과로 서비스 중 (degraded)
+      status: sources.summary.open > 0 ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
       services: {
-        news: true,
+        news: sources,
         currency: true,
         youtube: true,
         ai: aiService.getStatus(),
@@ -68,9 +71,13 @@ router.get('/news/:section?', async (req, res) => {
     const page = parseInt(req.query.page, 10) || 1;
     const limitNum = parseInt(limit, 10) || 20;
     
-    const result = await newsService.getNews(section, useCache, page, limitNum);
+    const { news } = req.app.locals;
+    const result = await news.getNews(section, useCache, page, limitNum);
     
-    res.json(result);
+    // 섹션 응답과 같은 공개 표현 (explain=true면 랭킹 근거 포함)
+    res.json(result.success
+      ? { ...result, data: news.presentSection(result.data, { explain: req.query.explain === 'true' }) }
+      : result);
     
   } catch (error) {
     logger.error(`News API error for section ${req.params.section}:`, error);
@@ -91,10 +98,10 @@ router.get('/news', async (req, res) => {
     // Get first 5 articles from each section
     const promises = sections.map(async (section) => {
       try {
-        const result = await newsService.getNews(section, true);
+        const result = await req.app.locals.news.getNews(section, true);
         if (result.success) {
           summaries[section] = {
-            articles: result.data.articles.slice(0, 5),
+            articles: result.data.articles.slice(0, 5).map(article => req.app.locals.news.presentArticle(article)),
             total: result.data.total,
             cached: result.data.cached
           };
@@ -150,6 +157,56 @@ router.get('/currency', async (req, res) => {
   }
 });
 
+// 통화 환산: ?from=USD&to=JPY&amount=100
+router.get('/currency/convert', async (req, res) => {
+  try {
+    const from = String(req.query.from || '').toUpperCase();
+    const to = String(req.query.to || '').toUpperCase();
+    const amount = req.query.amount === undefined ? 1 : Number(req.query.amount);
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to are required'
+      });
+    }
+
+    const result = await currencyService.convert(from, to, amount);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Currency convert API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// 환율 이력 (거래일 종가): ?code=USD&days=30
+router.get('/currency/history', async (req, res) => {
+  try {
+    const code = String(req.query.code || 'USD').toUpperCase();
+    const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 30));
+    const result = await currencyService.getHistory(code, days);
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Currency history API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // YouTube endpoints
 router.get('/youtube/:section?', async (req, res) => {
   try {
@@ -166,7 +223,23 @@ router.get('/youtube/:section?', async (req, res) => {
       });
     }
 
-    const result = await youtubeService.getVideos(section);
+    // 필터: minDuration/maxDuration(초), live=true, excludeShorts=true
+    const filters = {};
+    for (const key of ['minDuration', 'maxDuration']) {
+      if (req.query[key] === undefined) continue;
+      const seconds = Number(req.query[key]);
+      if (!Number.isInteger(seconds) || seconds < 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${key} must be a non-negative integer (seconds)`
+        });
+      }
+      filters[key] = seconds;
+    }
+    if (req.query.live === 'true') filters.live = true;
+    if (req.query.excludeShorts === 'true') filters.excludeShorts = true;
+
+    const result = await youtubeService.getVideos(section, filters);
     
     // Apply limit if specified
     if (result.success && result.data.videos) {
@@ -200,20 +273,23 @@ router.post('/translate', async (req, res) => {
       });
     }
 
-    if (target !== 'ko') {
+    const validTargets = Object.keys(aiService.languages);
+    if (!validTargets.includes(target)) {
       return res.status(400).json({
         success: false,
-        error: 'Only Korean translation is supported'
+        error: 'Unsupported target language',
+        validTargets
       });
     }
 
-    const translated = await aiService.translateToKorean(text);
+    const translated = await aiService.translate(text, target);
     
     res.json({
       success: true,
       data: {
         original: text,
         translated,
+        source: aiService.detectLanguage(text),
         target,
         timestamp: new Date().toISOString()
       }
@@ -229,6 +305,61 @@ router.post('/translate', async (req, res) => {
   }
 });
 
+// Batch translation: 여러 텍스트를 묶어 적은 모델 호출로 번역
+router.post('/translate/batch', async (req, res) => {
+  try {
+    const { texts, target = 'ko' } = req.body;
+    const maxTexts = parseInt(process.env.AI_TRANSLATE_BATCH_MAX_TEXTS, 10) || 50;
+
+    if (!Array.isArray(texts) || texts.length === 0 || texts.some(text => typeof text !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Texts must be a non-empty array of strings'
+      });
+    }
+
+    if (texts.length > maxTexts) {
+      return res.status(400).json({
+        success: false,
+        error: `Too many texts (max ${maxTexts})`
+      });
+    }
+
+    const validTargets = Object.keys(aiService.languages);
+    if (!validTargets.includes(target)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported target language',
+        validTargets
+      });
+    }
+
+    const translated = await aiService.translateBatch(texts, target);
+
+    res.json({
+      success: true,
+      data: {
+        translations: texts.map((text, i) => ({
+          original: text,
+          translated: translated[i],
+          source: aiService.detectLanguage(text)
+        })),
+        target,
+        count: texts.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Batch translation API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Batch translation failed',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 router.post('/summarize', async (req, res) => {
   try {
     const { text, points = 3 } = req.body;
@@ -274,9 +405,7 @@ router.post('/rate', async (req, res) => {
       });
     }
 
-    const rating = await ratingService.calculateRating(article);
-    const tags = await ratingService.generateTags(article);
-    const importance = ratingService.getImportanceScore(article);
+    const { rating, tags, importance, breakdown } = await ratingService.analyze(article);
     
     res.json({
       success: true,
@@ -284,6 +413,7 @@ router.post('/rate', async (req, res) => {
         rating,
         tags,
         importance,
+        breakdown,
         timestamp: new Date().toISOString()
       }
     });
@@ -307,7 +437,7 @@ router.get('/trending', async (req, res) => {
     
     for (const section of sections) {
       try {
-        const result = await newsService.getNews(section, true);
+        const result = await req.app.locals.news.getNews(section, true);
         if (result.success) {
           allArticles.push(...result.data.articles.slice(0, 10));
         }
@@ -316,7 +446,7 @@ router.get('/trending', async (req, res) => {
       }
     }
     
-    const trendingTopics = ratingService.getTrendingTopics(allArticles);
+    const trendingTopics = await ratingService.getTrendingTopics(allArticles);
     
     res.json({
       success: true,
@@ -336,6 +466,36 @@ router.get('/trending', async (req, res) => {
   }
 });
 
+// 출처 신뢰도 레지스트리 (도메인별 이름·등급·언어·국가·성향)
+router.get('/sources', async (req, res) => {
+  try {
+    await sourceReliability.ready;
+    const registry = sourceReliability.list();
+    const tier = req.query.tier ? Number(req.query.tier) : null;
+    const sources = Object.entries(registry.sources)
+      .filter(([, source]) => tier === null || source.tier === tier)
+      .map(([domain, source]) => ({ domain, ...source, trust: registry.tiers[source.tier] ?? null }));
+
+    res.json({
+      success: true,
+      data: {
+        version: registry.version,
+        tiers: registry.tiers,
+        defaultTier: registry.defaultTier,
+        sources,
+        total: sources.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Sources API error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sources'
+    });
+  }
+});
+
 // Statistics endpoint
 router.get('/stats', async (req, res) => {
   try {
@@ -344,7 +504,7 @@ router.get('/stats', async (req, res) => {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       services: {
-        news: { status: 'active' },
+        news: { status: 'active', ...req.app.locals.news.getSourceHealth() },
         currency: currencyService.getStatus(),
         youtube: youtubeService.getStatus(),
         ai: aiService.getStatus(),
@@ -386,14 +546,14 @@ router.get('/search', async (req, res) => {
     
     for (const sect of sections) {
       try {
-        const newsResult = await newsService.getNews(sect, true);
+        const newsResult = await req.app.locals.news.getNews(sect, true);
         if (newsResult.success) {
           const matchingArticles = newsResult.data.articles.filter(article => 
             article.title.toLowerCase().includes(searchTerm) ||
             (article.description && article.description.toLowerCase().includes(searchTerm)) ||
             (article.titleKo && article.titleKo.toLowerCase().includes(searchTerm))
           );
-          results.push(...matchingArticles);
+          results.push(...matchingArticles.map(article => req.app.locals.news.presentArticle(article)));
         }
       } catch (error) {
         logger.warn(`Search failed for section ${sect}:`, error.message);
@@ -477,11 +637,15 @@ router.use('*', (req, res) => {
     availableEndpoints: [
       'GET /api/news/:section',
       'GET /api/currency',
+      'GET /api/currency/convert',
+      'GET /api/currency/history',
       'GET /api/youtube/:section',
       'POST /api/translate',
+      'POST /api/translate/batch',
       'POST /api/summarize',
       'POST /api/rate',
       'GET /api/trending',
+      'GET /api/sources',
       'GET /api/stats',
       'GET /api/search'
     ]
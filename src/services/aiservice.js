@@ -1,145 +1,508 @@
-const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const redisClient = require('../config/redis');
+const { createTaskProviders } = require('./llm');
+const { PersistentStore } = require('../utils/persistentstore');
+
+// 정렬된 표본의 p 분위값 (최근 대기 시간 통계용)
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+}
+
+// 라틴 문자 언어 구분용 기능어 (여러 언어에 공통인 a, in, die 등은 제외)
+const ENGLISH_WORDS = new Set([
+  'the', 'of', 'and', 'to', 'is', 'for', 'with', 'that', 'from', 'by', 'at', 'after',
+  'says', 'over', 'will', 'are', 'was', 'has', 'have', 'its', 'this', 'into', 'amid'
+]);
+const FOREIGN_WORDS = new Set([
+  'le', 'la', 'les', 'des', 'du', 'un', 'une', 'et', 'est', 'dans', 'pour', 'sur', 'avec', 'au', 'aux',
+  'der', 'das', 'und', 'ist', 'mit', 'von', 'zu', 'den', 'dem', 'nicht', 'ein', 'eine', 'auf', 'im',
+  'el', 'los', 'las', 'del', 'y', 'en', 'con', 'por', 'para', 'una', 'es',
+  'il', 'di', 'che', 'della', 'gli', 'nel', 'sono',
+  'o', 'os', 'da', 'do', 'das', 'dos', 'em', 'com', 'uma'
+]);
 
 class AIService {
   constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
+    // 작업 유형별 LLM 프로바이더 (LLM_PROVIDER, LLM_PROVIDER_<TASK>)
+    this.providers = createTaskProviders();
+    // 번역/요약 캐시: Redis(src/config/redis.js) 공유 + 로컬 Map 폴백
     this.cache = new Map();
-    this.translateQueue = [];
-    this.summarizeQueue = [];
+    this.maxLocalCache = 1000;
+    this.cacheTTL = {
+      tr: Number(process.env.AI_TRANSLATION_CACHE_TTL_SEC || 30 * 24 * 60 * 60),
+      sum: Number(process.env.AI_SUMMARY_CACHE_TTL_SEC || 7 * 24 * 60 * 60)
+    };
+    this.cacheStats = { hits: 0, misses: 0, localHits: 0, redisHits: 0, writes: 0 };
+    // 번역 대상 언어 (코드 → 프롬프트용 이름)
+    this.languages = { ko: '한국어', en: '영어', ja: '일본어', zh: '중국어(간체)' };
+    // 작업 클래스별 큐: translate(단건/배치 번역), summarize
+    // 가중 라운드로빈으로 번갈아 꺼내 요약이 번역 뒤에서 굶지 않게 한다.
+    this.queues = { translate: [], summarize: [] };
+    this.weights = {
+      translate: Number(process.env.AI_WEIGHT_TRANSLATE || 2),
+      summarize: Number(process.env.AI_WEIGHT_SUMMARIZE || 1)
+    };
+    this.credits = { translate: 0, summarize: 0 };
+    this.waitSamples = { translate: [], summarize: [] };
+    this.maxWaitSamples = 500;
+    this.maxTokens = { translate: 220, summarize: 220, detailedSummary: 500, batch: 4000 };
+    // 재시도를 모두 소진한 작업 (직렬화 가능한 형태로 영속화)
     this.deadLetterQueue = [];
+    this.deadLetterStore = new PersistentStore('ai-deadletters');
+    this.maxDeadLetters = Number(process.env.AI_MAX_DEAD_LETTERS || 500);
     this.running = 0;
     this.concurrency = 8;
-    this.batchSize = 6;
+    this.batchSize = 6; // 배치 번역 시 한 번의 모델 호출에 묶는 텍스트 수
     this.tickMs = 500;
     this.maxRetries = 5;
     this.backoff = [400, 800, 1600, 3200, 6400];
+    // 레이트리밋 헤더로 갱신되는 남은 예산과 리셋 시각 (모르면 Infinity)
     this.remainingRequests = Infinity;
     this.remainingTokens = Infinity;
+    this.resetAt = { requests: 0, tokens: 0 };
+    this.inFlightTokens = 0;
     this.start();
   }
 
   start() {
+    this.ready = this._loadDeadLetters();
     setInterval(() => this._drain(), this.tickMs);
   }
 
+  _enqueue(task) {
+    task.taskClass = task.type === 'summarize' ? 'summarize' : 'translate';
+    task.estimatedTokens = this._estimateTaskTokens(task);
+    task.enqueuedAt = Date.now();
+    this.queues[task.taskClass].push(task);
+  }
+
   _drain() {
-    if (this.running >= this.concurrency) return;
-    const slots = Math.min(
-      this.concurrency - this.running,
-      Math.max(1, this.remainingRequests || this.batchSize)
-    );
-    for (let i = 0; i < slots; i++) {
-      const task = this.translateQueue.shift() || this.summarizeQueue.shift();
-      if (task) this._runTask(task);
+    this._resetExpiredLimits();
+    while (this.running < this.concurrency) {
+      // 요청/토큰 예산은 응답 헤더 기준이므로 진행 중인 호출분을 빼고 판단
+      if (this.remainingRequests - this.running < 1) return;
+      // 순서가 된 클래스의 첫 작업이 남은 토큰보다 크면 다음 클래스의 작업이 먼저 나간다
+      // (큰 작업 하나가 다른 큐 전체를 막지 않도록)
+      const tokenBudget = this.remainingTokens - this.inFlightTokens;
+      const taskClass = this._classesInTurn().find(c => this.queues[c][0].estimatedTokens <= tokenBudget);
+      if (!taskClass) return;
+
+      const task = this.queues[taskClass][0];
+
+      this._awardCredits(taskClass);
+      this.queues[taskClass].shift();
+      this._recordWait(taskClass, Date.now() - task.enqueuedAt);
+      this._runTask(task);
+    }
+  }
+
+  // 가중 라운드로빈(smooth WRR): 대기 클래스를 크레딧 + 가중치가 큰 순서로 돌려준다.
+  // 순서만 정하고 크레딧은 실제로 보낼 때(_awardCredits) 반영한다. 예산이 막혀 틱마다 선택만 반복되는 동안
+  // 크레딧이 쌓이면 해제 직후 한쪽이 오래 독점하기 때문이다.
+  _classesInTurn() {
+    const score = c => this.credits[c] + this.weights[c];
+    return Object.keys(this.queues)
+      .filter(c => this.queues[c].length > 0)
+      .sort((a, b) => score(b) - score(a));
+  }
+
+  _awardCredits(taskClass) {
+    const active = Object.keys(this.queues).filter(c => this.queues[c].length > 0);
+    active.forEach(c => { this.credits[c] += this.weights[c]; });
+    this.credits[taskClass] -= this._activeWeight();
+  }
+
+  _activeWeight() {
+    return Object.keys(this.queues)
+      .filter(c => this.queues[c].length > 0)
+      .reduce((sum, c) => sum + this.weights[c], 0);
+  }
+
+  _recordWait(taskClass, ms) {
+    const samples = this.waitSamples[taskClass];
+    samples.push(ms);
+    if (samples.length > this.maxWaitSamples) samples.shift();
+  }
+
+  // 대략적인 토큰 수: CJK는 글자당 1, 그 외는 4글자당 1
+  estimateTokens(text = '') {
+    const cjk = (text.match(/[\u3040-\u30ff\u4e00-\u9fff\uac00-\ud7a3]/g) || []).length;
+    return cjk + Math.ceil((text.length - cjk) / 4);
+  }
+
+  // 프롬프트(시스템 지시문 포함) + 응답 상한(max_tokens). 레이트리미터도 max_tokens를 선차감한다.
+  _estimateTaskTokens(task) {
+    const overhead = 80;
+    if (task.type === 'translateBatch') {
+      const prompt = task.texts.reduce((sum, text) => sum + this.estimateTokens(text) + 4, overhead);
+      return prompt + this._batchMaxTokens(task.texts.length);
     }
+    return overhead + this.estimateTokens(task.text) + this.maxTokens[task.taskClass];
+  }
+
+  _batchMaxTokens(count) {
+    return Math.min(this.maxTokens.batch, this.maxTokens.translate * count);
   }
 
   async _runTask(task) {
     this.running++;
+    this.inFlightTokens += task.estimatedTokens || 0;
     try {
-      const { type, text, maxPoints } = task;
+      const { type, text, target, maxPoints } = task;
       let result;
       if (type === 'translate') {
-        result = await this._translateWithOpenAI(text);
+        result = await this._translate(text, target);
+      } else if (type === 'translateBatch') {
+        result = await this._translateBatch(task.texts, target);
       } else if (type === 'summarize') {
-        result = await this._summarizeWithOpenAI(text, maxPoints);
+        result = await this._summarize(text, maxPoints);
       }
       task.resolve(result);
     } catch (err) {
       if (task.retries < this.maxRetries) {
         const wait = this.backoff[task.retries] || 8000;
         task.retries++;
-        setTimeout(() => {
-          (task.type === 'translate' ? this.translateQueue : this.summarizeQueue).push(task);
-        }, wait);
+        setTimeout(() => this._enqueue(task), wait);
       } else {
-        this.deadLetterQueue.push(task);
+        this._addDeadLetter(task, err);
         task.reject(err);
       }
     } finally {
       this.running--;
+      this.inFlightTokens -= task.estimatedTokens || 0;
+    }
+  }
+
+  async _loadDeadLetters() {
+    const saved = await this.deadLetterStore.load([]);
+    // 로딩 전에 쌓인 항목은 뒤에 유지
+    this.deadLetterQueue = [...(Array.isArray(saved) ? saved : []), ...this.deadLetterQueue];
+    if (this.deadLetterQueue.length > 0) {
+      logger.info(`Loaded ${this.deadLetterQueue.length} AI dead letters`);
+    }
+  }
+
+  async _persistDeadLetters() {
+    await this.deadLetterStore.save(this.deadLetterQueue);
+  }
+
+  _addDeadLetter(task, err) {
+    this.deadLetterQueue.push({
+      id: crypto.randomUUID(),
+      type: task.type,
+      text: task.text,
+      texts: task.texts,
+      target: task.target,
+      maxPoints: task.maxPoints,
+      retries: task.retries,
+      lastError: err?.message || String(err),
+      failedAt: new Date().toISOString()
+    });
+    if (this.deadLetterQueue.length > this.maxDeadLetters) {
+      this.deadLetterQueue.splice(0, this.deadLetterQueue.length - this.maxDeadLetters);
     }
+    this._persistDeadLetters().catch(e => logger.warn(`Dead letter persist failed: ${e.message}`));
+  }
+
+  listDeadLetters() {
+    return [...this.deadLetterQueue];
+  }
+
+  // ids가 없으면 전체 대상. 큐에서 빼서 원래 진입점으로 다시 실행하고,
+  // 다시 실패한 작업은 새 dead letter로 쌓인다.
+  async replayDeadLetters(ids) {
+    await this.ready;
+    const selected = this._takeDeadLetters(ids);
+    await this._persistDeadLetters();
+    logger.info(`Replaying ${selected.length} dead letters`);
+
+    const results = await Promise.all(selected.map(async entry => {
+      try {
+        await this._replay(entry);
+        return { id: entry.id, type: entry.type, status: 'succeeded' };
+      } catch (err) {
+        return { id: entry.id, type: entry.type, status: 'failed', error: err.message };
+      }
+    }));
+
+    return {
+      replayed: results.length,
+      succeeded: results.filter(r => r.status === 'succeeded').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      results
+    };
   }
 
   async processDeadLetterBatch() {
-    logger.info(`Processing ${this.deadLetterQueue.length} dead letters`);
-    while (this.deadLetterQueue.length > 0) {
-      const task = this.deadLetterQueue.shift();
-      await this._runTask(task);
+    return this.replayDeadLetters();
+  }
+
+  async purgeDeadLetters(ids) {
+    await this.ready;
+    const purged = this._takeDeadLetters(ids).length;
+    await this._persistDeadLetters();
+    logger.info(`Purged ${purged} dead letters`);
+    return purged;
+  }
+
+  _takeDeadLetters(ids) {
+    const wanted = Array.isArray(ids) ? new Set(ids) : null;
+    const selected = this.deadLetterQueue.filter(entry => !wanted || wanted.has(entry.id));
+    this.deadLetterQueue = this.deadLetterQueue.filter(entry => wanted && !wanted.has(entry.id));
+    return selected;
+  }
+
+  _replay(entry) {
+    switch (entry.type) {
+      case 'translate':
+        return this.translate(entry.text, entry.target || 'ko');
+      case 'translateBatch':
+        return this.translateBatch(entry.texts || [], entry.target || 'ko');
+      case 'summarize':
+        return this.generateSummaryPoints(entry.text, entry.maxPoints);
+      default:
+        return Promise.reject(new Error(`Unknown task type: ${entry.type}`));
     }
   }
 
   async translateToKorean(text) {
+    return this.translate(text, 'ko');
+  }
+
+  // 대상 언어(ko/en/ja/zh)로 번역: 원문 언어 감지 → 대상별 캐시 → 큐
+  async translate(text, target = 'ko') {
     if (!text?.trim()) return '';
-    if (this.isKorean(text)) return text;
+    if (!this.languages[target]) throw new Error(`Unsupported target language: ${target}`);
+    if (this.detectLanguage(text) === target) return text;
 
-    const hash = crypto.createHash('sha256').update(text).digest('hex');
-    const key = `tr:${hash}`;
-    if (this.cache.has(key)) return this.cache.get(key);
+    const key = this._cacheKey(`tr:${target}`, text);
+    const cached = await this._cachedTranslation(text, target);
+    if (cached) return cached;
 
     const sliced = text.slice(0, 1600);
     return new Promise((resolve, reject) => {
-      this.translateQueue.push({ type: 'translate', text: sliced, retries: 0, resolve, reject });
-    }).then(res => {
-      if (this.isKorean(res)) {
-        this.cache.set(key, res);
-        if (this.cache.size > 1000) this.cache.delete(this.cache.keys().next().value);
+      this._enqueue({ type: 'translate', text: sliced, target, retries: 0, resolve, reject });
+    }).then(async res => {
+      if (this._isTranslatedTo(res, target)) {
+        await this._cacheSet(key, res);
         return res;
       }
       return text;
     });
   }
 
+  // 여러 텍스트를 batchSize씩 묶어 한 번의 모델 호출로 번역 (입력 순서대로 반환)
+  async translateBatch(texts, target = 'ko') {
+    if (!this.languages[target]) throw new Error(`Unsupported target language: ${target}`);
+
+    const results = await Promise.all(texts.map(async text => {
+      if (!text?.trim()) return '';
+      if (this.detectLanguage(text) === target) return text;
+      return this._cachedTranslation(text, target);
+    }));
+
+    const pending = texts
+      .map((text, index) => ({ text, index }))
+      .filter(({ index }) => results[index] === null);
+
+    const chunks = [];
+    for (let i = 0; i < pending.length; i += this.batchSize) {
+      chunks.push(pending.slice(i, i + this.batchSize));
+    }
+
+    // 청크별로 독립 처리: 실패한 청크만 항목별 단건 번역으로 대체 (단건도 실패하면 원문)
+    await Promise.all(chunks.map(async chunk => {
+      let translated;
+      try {
+        translated = await new Promise((resolve, reject) => {
+          this._enqueue({
+            type: 'translateBatch',
+            texts: chunk.map(({ text }) => text.slice(0, 1600)),
+            target,
+            retries: 0,
+            resolve,
+            reject
+          });
+        });
+      } catch (error) {
+        logger.warn(`Batch translation chunk failed (${chunk.length} items), translating individually: ${error.message}`);
+        await Promise.all(chunk.map(async ({ text, index }) => {
+          results[index] = await this.translate(text, target).catch(() => text);
+        }));
+        return;
+      }
+
+      await Promise.all(chunk.map(async ({ text, index }, i) => {
+        const res = translated[i];
+        if (this._isTranslatedTo(res, target)) {
+          await this._cacheSet(this._cacheKey(`tr:${target}`, text), res);
+          results[index] = res;
+        } else {
+          results[index] = text;
+        }
+      }));
+    }));
+
+    return results;
+  }
+
   async generateSummaryPoints(text, maxPoints = 5) {
     if (!text?.trim()) return ['내용 없음'];
+
+    const key = this._cacheKey('sum', `${maxPoints}:${text}`);
+    const cached = await this._cacheGet(key);
+    if (cached) return cached;
+
     return new Promise((resolve, reject) => {
-      this.summarizeQueue.push({ type: 'summarize', text, maxPoints, retries: 0, resolve, reject });
+      this._enqueue({ type: 'summarize', text, maxPoints, retries: 0, resolve, reject });
+    }).then(async points => {
+      if (Array.isArray(points) && points.length > 0) await this._cacheSet(key, points);
+      return points;
     });
   }
 
   async generateDetailedSummary(article) {
     if (!article || !article.content) return '';
     const text = article.content.slice(0, 2000);
-    return this._callOpenAI('gpt-4o-mini', [
-      { role: 'system', content: '당신은 뉴스 분석 전문가입니다. 주어진 뉴스를 객관적이고 상세히 요약하세요.' },
-      { role: 'user', content: `제목: ${article.title}\n내용: ${text}` }
-    ], 500).catch(() => '상세 요약 생성 불가');
+
+    const key = this._cacheKey('sum', `detail:${article.title}\n${text}`);
+    const cached = await this._cacheGet(key);
+    if (cached) return cached;
+
+    try {
+      const summary = await this._complete('detailedSummary', [
+        { role: 'system', content: '당신은 뉴스 분석 전문가입니다. 주어진 뉴스를 객관적이고 상세히 요약하세요.' },
+        { role: 'user', content: `제목: ${article.title}\n내용: ${text}` }
+      ], this.maxTokens.detailedSummary);
+      await this._cacheSet(key, summary);
+      return summary;
+    } catch (err) {
+      return '상세 요약 생성 불가';
+    }
+  }
+
+  // 번역 캐시 조회. 대상 언어별 키(tr:<target>:<sha>) 도입 전의 한국어 번역(tr:<sha>)은
+  // 한 번 읽어서 새 키로 옮긴다.
+  async _cachedTranslation(text, target) {
+    const key = this._cacheKey(`tr:${target}`, text);
+    // ko는 예전 키까지 본 뒤에 한 번만 miss로 센다
+    const cached = await this._cacheGet(key, { countMiss: target !== 'ko' });
+    if (cached || target !== 'ko') return cached;
+
+    const legacy = await this._cacheGet(this._cacheKey('tr', text));
+    if (legacy && this.detectLanguage(legacy) === 'ko') {
+      await this._cacheSet(key, legacy);
+      return legacy;
+    }
+    return null;
+  }
+
+  // 번역 결과 검증: 대상 언어로 감지되어야 한다. 한자만으로 된 일본어 문장은 zh로 감지되므로 ja 대상이면 허용.
+  _isTranslatedTo(res, target) {
+    if (!res) return false;
+    const detected = this.detectLanguage(res);
+    return detected === target || (target === 'ja' && detected === 'zh');
+  }
+
+  _cacheKey(prefix, text) {
+    const hash = crypto.createHash('sha256').update(text).digest('hex');
+    return `${prefix}:${hash}`;
   }
 
-  async _translateWithOpenAI(text) {
-    const response = await this._callOpenAI('gpt-4o-mini', [
-      { role: 'system', content: '당신은 전문 뉴스 번역가입니다. 영어/일본어를 한국어로 자연스럽게 번역하세요.' },
+  async _cacheGet(key, { countMiss = true } = {}) {
+    if (this.cache.has(key)) {
+      this.cacheStats.hits++;
+      this.cacheStats.localHits++;
+      return this.cache.get(key);
+    }
+
+    const shared = await redisClient.get(key);
+    if (shared !== null && shared !== undefined) {
+      this.cacheStats.hits++;
+      this.cacheStats.redisHits++;
+      this._cacheSetLocal(key, shared);
+      return shared;
+    }
+
+    if (countMiss) this.cacheStats.misses++;
+    return null;
+  }
+
+  async _cacheSet(key, value) {
+    this._cacheSetLocal(key, value);
+    this.cacheStats.writes++;
+    const ttl = this.cacheTTL[key.split(':')[0]] || this.cacheTTL.sum;
+    await redisClient.set(key, value, ttl);
+  }
+
+  _cacheSetLocal(key, value) {
+    this.cache.set(key, value);
+    if (this.cache.size > this.maxLocalCache) this.cache.delete(this.cache.keys().next().value);
+  }
+
+  async _translate(text, target = 'ko') {
+    // 원문 언어를 확실히 알 때만 프롬프트에 명시 (und: 영어가 아닐 수 있는 라틴 문자)
+    const source = this.languages[this.detectLanguage(text)];
+    const subject = source ? `${source} 뉴스를` : '뉴스를 원문 언어를 파악해';
+    return this._complete('translate', [
+      { role: 'system', content: `당신은 전문 뉴스 번역가입니다. ${subject} ${this.languages[target]}로 자연스럽게 번역하세요. 번역문만 출력하세요.` },
       { role: 'user', content: text }
-    ], 220);
-    return response;
+    ], this.maxTokens.translate);
+  }
+
+  async _translateBatch(texts, target = 'ko') {
+    const response = await this._complete('translate', [
+      {
+        role: 'system',
+        content: `당신은 전문 뉴스 번역가입니다. 입력 JSON의 items 배열에 있는 각 뉴스 문장을 ${this.languages[target]}로 자연스럽게 번역하세요. ` +
+          '같은 순서와 같은 개수로 {"translations": ["...", ...]} 형식의 JSON만 출력하세요.'
+      },
+      { role: 'user', content: JSON.stringify({ items: texts }) }
+    ], this._batchMaxTokens(texts.length), { responseFormat: { type: 'json_object' } });
+
+    const { translations } = JSON.parse(response);
+    if (!Array.isArray(translations) || translations.length !== texts.length) {
+      throw new Error(`Batch translation returned ${translations?.length ?? 0} of ${texts.length} items`);
+    }
+    return translations.map(t => (typeof t === 'string' ? t.trim() : ''));
   }
 
-  async _summarizeWithOpenAI(text, maxPoints) {
-    const response = await this._callOpenAI('gpt-4o-mini', [
+  async _summarize(text, maxPoints) {
+    const response = await this._complete('summarize', [
       { role: 'system', content: `당신은 뉴스 요약 전문가입니다. 기사를 ${maxPoints}개의 핵심 bullet로 요약하세요.` },
       { role: 'user', content: text }
-    ], 220);
+    ], this.maxTokens.summarize);
     return response.split('\n').filter(Boolean).slice(0, maxPoints);
   }
 
-  async _callOpenAI(model, messages, max_tokens) {
-    const res = await axios.post('https://api.openai.com/v1/chat/completions', {
-      model, messages, max_tokens, temperature: 0.2
-    }, {
-      headers: { Authorization: `Bearer ${this.apiKey}` },
-      timeout: 20000
-    });
-    this._updateLimits(res.headers);
-    return res.data.choices[0].message.content.trim();
+  async _complete(task, messages, maxTokens, options = {}) {
+    const provider = this.providers[task];
+    const { content, headers } = await provider.chat({ task, messages, maxTokens, temperature: 0.2, ...options });
+    if (headers) this._updateLimits(headers);
+    return content;
+  }
+
+  // 모든 작업의 프로바이더가 사용 가능한 설정인지
+  isConfigured() {
+    return Object.values(this.providers).every(provider => provider.isConfigured());
   }
 
   _updateLimits(h) {
     const r = Number(h['x-ratelimit-remaining-requests']);
     const t = Number(h['x-ratelimit-remaining-tokens']);
-    if (!isNaN(r)) this.remainingRequests = r;
-    if (!isNaN(t)) this.remainingTokens = t;
+    const now = Date.now();
+    // 리셋 헤더가 없으면 분 단위 한도로 보고 60초 뒤 리셋
+    if (!isNaN(r)) {
+      this.remainingRequests = r;
+      this.resetAt.requests = now + (this._parseDuration(h['x-ratelimit-reset-requests']) ?? 60000);
+    }
+    if (!isNaN(t)) {
+      this.remainingTokens = t;
+      this.resetAt.tokens = now + (this._parseDuration(h['x-ratelimit-reset-tokens']) ?? 60000);
+    }
     if (this.remainingRequests < this.concurrency / 2) {
       this.concurrency = Math.max(2, Math.floor(this.concurrency * 0.8));
     } else {
@@ -147,24 +510,107 @@ class AIService {
     }
   }
 
+  // 리셋 시각이 지난 예산은 다시 알 수 없는 상태(Infinity)로 되돌림
+  _resetExpiredLimits() {
+    const now = Date.now();
+    if (this.resetAt.requests && now >= this.resetAt.requests) {
+      this.remainingRequests = Infinity;
+      this.resetAt.requests = 0;
+    }
+    if (this.resetAt.tokens && now >= this.resetAt.tokens) {
+      this.remainingTokens = Infinity;
+      this.resetAt.tokens = 0;
+    }
+  }
+
+  // OpenAI 리셋 헤더 형식 ("20ms", "1s", "6m0s", "1h2m3.5s") → ms
+  _parseDuration(value) {
+    if (!value) return null;
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = String(value).match(/(\d+(?:\.\d+)?)(ms|h|m|s)/g);
+    if (!parts) return null;
+    return parts.reduce((sum, part) => {
+      const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|h|m|s)/);
+      return sum + Number(amount) * units[unit];
+    }, 0);
+  }
+
   isKorean(txt) {
-    const ko = txt.match(/[\\uac00-\\ud7a3]/g) || [];
-    return (ko.length / (txt.replace(/\\s+/g, '').length || 1)) > 0.4;
+    return this.detectLanguage(txt) === 'ko';
+  }
+
+  // 문자 체계 기반 언어 감지: 한글 → ko, 가나 → ja, 한자 → zh,
+  // 라틴 문자는 영어가 아닌 단서(악센트 문자, 불·독·서·이·포어 기능어)가 영어 기능어보다 많으면 und, 아니면 en
+  detectLanguage(txt) {
+    const letters = (txt || '').replace(/[\s\d\p{P}\p{S}]+/gu, '');
+    if (!letters) return 'en';
+    const count = re => (letters.match(re) || []).length;
+    const hangul = count(/[\uac00-\ud7a3\u3131-\u318e]/g);
+    const kana = count(/[\u3040-\u30ff]/g);
+    const han = count(/[\u4e00-\u9fff]/g);
+
+    if (hangul / letters.length > 0.4) return 'ko';
+    if (kana > 0 && (kana + han) / letters.length > 0.3) return 'ja';
+    if (han / letters.length > 0.3) return 'zh';
+    return this._latinLanguage(txt);
+  }
+
+  _latinLanguage(txt) {
+    const words = (txt || '').toLowerCase().match(/[\p{L}']+/gu) || [];
+    const english = words.filter(word => ENGLISH_WORDS.has(word)).length;
+    const foreign = words.filter(word => FOREIGN_WORDS.has(word) || /[àâãçéèêëíîïñóôõœßúùûüÿæ]/.test(word)).length;
+    return foreign > english ? 'und' : 'en';
   }
 
   getStatus() {
+    const lookups = this.cacheStats.hits + this.cacheStats.misses;
     return {
       cache: this.cache.size,
+      cacheStats: {
+        ...this.cacheStats,
+        hitRate: lookups > 0 ? this.cacheStats.hits / lookups : null,
+        shared: redisClient.isConnected
+      },
       running: this.running,
+      queue: this.getQueueStatus(),
       deadLetters: this.deadLetterQueue.length,
+      deadLetterStore: this.deadLetterStore.describe(),
       remainingRequests: this.remainingRequests,
       remainingTokens: this.remainingTokens,
-      concurrency: this.concurrency
+      concurrency: this.concurrency,
+      providers: Object.fromEntries(
+        Object.entries(this.providers).map(([task, provider]) => [task, provider.describe()])
+      )
+    };
+  }
+
+  getQueueStatus() {
+    const now = Date.now();
+    const classes = Object.fromEntries(Object.entries(this.queues).map(([taskClass, queue]) => {
+      const sorted = [...this.waitSamples[taskClass]].sort((a, b) => a - b);
+      return [taskClass, {
+        depth: queue.length,
+        weight: this.weights[taskClass],
+        queuedTokens: queue.reduce((sum, task) => sum + task.estimatedTokens, 0),
+        oldestWaitMs: queue.length > 0 ? now - queue[0].enqueuedAt : 0,
+        waitMs: {
+          samples: sorted.length,
+          p50: percentile(sorted, 50),
+          p90: percentile(sorted, 90),
+          p99: percentile(sorted, 99)
+        }
+      }];
+    }));
+    return {
+      ...classes,
+      depth: Object.values(this.queues).reduce((sum, queue) => sum + queue.length, 0),
+      inFlightTokens: this.inFlightTokens
     };
   }
 
   clearCache() {
     this.cache.clear();
+    this.cacheStats = { hits: 0, misses: 0, localHits: 0, redisHits: 0, writes: 0 };
     logger.info('AI service cache cleared');
   }
 }
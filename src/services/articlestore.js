@@ -0,0 +1,101 @@
+const logger = require('../utils/logger');
+const redisClient = require('../config/redis');
+const { PersistentStore } = require('../utils/persistentstore');
+
+// 기사 상세 저장소: 섹션 목록 캐시와 별개로 기사 단위로 보관해
+// 공유된 상세 링크가 목록 캐시 만료 후에도 서버에서 조회되도록 한다.
+// Redis가 연결되어 있으면 `article:<id>` 키(TTL)로 인스턴스 간 공유하고, 아니면 로컬 Map을
+// PersistentStore(DATA_DIR/articles.json)에 모아서 저장해 재시작 후에도 남긴다. 어느 쪽이든 TTL이 지나면 조회되지 않는다.
+class ArticleStore {
+  constructor() {
+    this.ttl = Number(process.env.ARTICLE_STORE_TTL_SEC || 7 * 24 * 60 * 60); // 7일
+    this.maxLocalEntries = Number(process.env.ARTICLE_STORE_MAX_LOCAL || 5000);
+    this.saveDelayMs = Number(process.env.ARTICLE_STORE_SAVE_DELAY_MS || 30000);
+    this.local = new Map(); // id → { article, expiresAt }
+    this.store = new PersistentStore('articles');
+    this.saveTimer = null;
+    this.ready = this.load();
+  }
+
+  key(articleId) {
+    return `article:${articleId}`;
+  }
+
+  async load() {
+    if (await redisClient.waitForConnection()) return;
+    const saved = await this.store.load(null);
+    const now = Date.now();
+    (saved?.entries || [])
+      .filter(([, entry]) => entry.expiresAt > now)
+      .forEach(([id, entry]) => this.local.set(id, entry));
+  }
+
+  async save(article) {
+    if (!article || !article.id) return false;
+    const entry = { ...article, storedAt: new Date().toISOString() };
+
+    if (await redisClient.waitForConnection()) {
+      if (await redisClient.set(this.key(article.id), entry, this.ttl)) return true;
+      logger.warn(`Article store write failed for ${article.id}, keeping it locally`);
+    }
+
+    await this.ready;
+    // 로컬 보관 (LRU: 재삽입으로 최신 순서 유지)
+    this.local.delete(article.id);
+    this.local.set(article.id, { article: entry, expiresAt: Date.now() + this.ttl * 1000 });
+    if (this.local.size > this.maxLocalEntries) {
+      this.local.delete(this.local.keys().next().value);
+    }
+    this.scheduleSave();
+    return true;
+  }
+
+  async saveMany(articles = []) {
+    await Promise.all(articles.map(article => this.save(article)));
+    return articles.length;
+  }
+
+  async get(articleId) {
+    if (!articleId) return null;
+
+    if (await redisClient.waitForConnection()) {
+      return redisClient.get(this.key(articleId));
+    }
+
+    await this.ready;
+    const entry = this.local.get(articleId);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.local.delete(articleId);
+      return null;
+    }
+    return entry.article;
+  }
+
+  // 기사마다 쓰지 않고 saveDelayMs 동안 모아서 저장
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.flush().catch(error => logger.warn(`Article store save failed: ${error.message}`));
+    }, this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  async flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const now = Date.now();
+    await this.store.save({ entries: [...this.local].filter(([, entry]) => entry.expiresAt > now) });
+  }
+
+  getStatus() {
+    return {
+      backend: redisClient.isConnected ? 'redis' : 'file',
+      localEntries: this.local.size,
+      maxLocalEntries: this.maxLocalEntries,
+      ttl: this.ttl
+    };
+  }
+}
+
+module.exports = new ArticleStore();
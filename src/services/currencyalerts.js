@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { PersistentStore } = require('../utils/persistentstore');
+
+// 환율 알림 규칙과 웹훅 전송
+// 규칙 종류 (code는 기준 통화 대비 환율, 예: USD → USD/KRW)
+// - above / below: 환율이 threshold를 넘거나 밑돌게 되는 순간 한 번 알림 (조건이 풀리면 다시 대기)
+// - change: 직전 거래일 종가 대비 변동률 절댓값이 threshold(%) 이상이면 거래일(환율 기준일)당 한 번 알림
+// 웹훅 본문은 규칙의 secret으로 HMAC-SHA256 서명하며, 실패하면 지수 백오프로 재시도한다.
+// 상태 형태: { rules: [...], deliveries: [...] } (전송 기록은 최근 maxDeliveries건)
+const RULE_TYPES = ['above', 'below', 'change'];
+const EDITABLE_FIELDS = ['code', 'type', 'threshold', 'webhookUrl', 'secret', 'enabled', 'note'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CurrencyAlertService {
+  constructor() {
+    this.store = new PersistentStore('currency-alerts');
+    this.maxAttempts = Number(process.env.ALERT_WEBHOOK_MAX_ATTEMPTS || 4);
+    this.retryBaseMs = Number(process.env.ALERT_WEBHOOK_RETRY_BASE_MS || 2000);
+    this.timeoutMs = Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS || 5000);
+    this.maxDeliveries = Number(process.env.ALERT_DELIVERY_LOG_SIZE || 200);
+    this.state = null;
+  }
+
+  async load() {
+    if (!this.state) {
+      const saved = await this.store.load(null);
+      this.state = {
+        rules: Array.isArray(saved?.rules) ? saved.rules : [],
+        deliveries: Array.isArray(saved?.deliveries) ? saved.deliveries : []
+      };
+    }
+    return this.state;
+  }
+
+  async save() {
+    this.state.deliveries = this.state.deliveries.slice(-this.maxDeliveries);
+    await this.store.save(this.state);
+  }
+
+  // 응답용: secret은 노출하지 않는다
+  present({ secret, ...rule }) {
+    return { ...rule, hasSecret: Boolean(secret) };
+  }
+
+  async listRules() {
+    const { rules } = await this.load();
+    return rules.map(rule => this.present(rule));
+  }
+
+  validate(rule, validCodes) {
+    const errors = [];
+    Object.keys(rule).forEach(key => {
+      if (!EDITABLE_FIELDS.includes(key)) errors.push(`unknown field "${key}"`);
+    });
+    if (!validCodes.includes(rule.code)) errors.push(`code must be one of ${validCodes.join(', ')}`);
+    if (!RULE_TYPES.includes(rule.type)) errors.push(`type must be one of ${RULE_TYPES.join(', ')}`);
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold) || rule.threshold <= 0) {
+      errors.push('threshold must be a positive number');
+    }
+    try {
+      if (!['http:', 'https:'].includes(new URL(rule.webhookUrl).protocol)) errors.push('webhookUrl must be http(s)');
+    } catch {
+      errors.push('webhookUrl must be a valid URL');
+    }
+    if (typeof rule.secret !== 'string' || rule.secret.length < 16) errors.push('secret must be at least 16 characters');
+    if (typeof rule.enabled !== 'boolean') errors.push('enabled must be a boolean');
+    return errors;
+  }
+
+  /**
+   * 규칙 생성. secret을 생략하면 생성해서 이 응답에서만 돌려준다.
+   * @param {Object} input - { code, type, threshold, webhookUrl, secret?, enabled?, note? }
+   * @param {Array<string>} validCodes - 추적 통화 코드
+   */
+  async createRule(input = {}, validCodes = []) {
+    const state = await this.load();
+    const fields = {
+      enabled: true,
+      secret: crypto.randomBytes(24).toString('hex'),
+      ...input,
+      code: String(input.code || '').toUpperCase()
+    };
+    const errors = this.validate(fields, validCodes);
+    if (errors.length > 0) return { success: false, error: 'Invalid alert rule', details: errors };
+
+    const rule = {
+      id: crypto.randomUUID(),
+      ...fields,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      active: false,
+      lastTriggeredAt: null,
+      lastTriggeredDate: null
+    };
+    state.rules.push(rule);
+    await this.save();
+    logger.info(`Currency alert rule created: ${rule.code} ${rule.type} ${rule.threshold}`);
+    return { success: true, data: { ...this.present(rule), secret: rule.secret } };
+  }
+
+  // 부분 수정 (조건이 바뀌면 트리거 상태 초기화)
+  async updateRule(id, input = {}, validCodes = []) {
+    const state = await this.load();
+    const index = state.rules.findIndex(rule => rule.id === id);
+    if (index === -1) return { success: false, error: 'Alert rule not found', notFound: true };
+
+    const current = state.rules[index];
+    const fields = Object.fromEntries(EDITABLE_FIELDS
+      .filter(key => current[key] !== undefined)
+      .map(key => [key, current[key]]));
+    Object.assign(fields, input);
+    if (input.code !== undefined) fields.code = String(input.code).toUpperCase();
+    const errors = this.validate(fields, validCodes);
+    if (errors.length > 0) return { success: false, error: 'Invalid alert rule', details: errors };
+
+    const conditionChanged = ['code', 'type', 'threshold'].some(key => fields[key] !== current[key]);
+    state.rules[index] = {
+      ...current,
+      ...fields,
+      updatedAt: new Date().toISOString(),
+      ...(conditionChanged ? { active: false, lastTriggeredDate: null } : {})
+    };
+    await this.save();
+    return { success: true, data: this.present(state.rules[index]) };
+  }
+
+  async deleteRule(id) {
+    const state = await this.load();
+    const before = state.rules.length;
+    state.rules = state.rules.filter(rule => rule.id !== id);
+    if (state.rules.length === before) return { success: false, error: 'Alert rule not found', notFound: true };
+    await this.save();
+    return { success: true, data: { id } };
+  }
+
+  async listDeliveries({ ruleId, limit = 50 } = {}) {
+    const { deliveries } = await this.load();
+    return deliveries
+      .filter(delivery => !ruleId || delivery.ruleId === ruleId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  // 규칙 조건 판정: 발생해야 하면 이벤트 종류를, 아니면 null
+  check(rule, quote, tradingDate) {
+    switch (rule.type) {
+      case 'above':
+      case 'below': {
+        const met = rule.type === 'above' ? quote.rate > rule.threshold : quote.rate < rule.threshold;
+        const fire = met && !rule.active;
+        rule.active = met;
+        return fire ? `rate.${rule.type}` : null;
+      }
+      case 'change': {
+        if (quote.changePercent === null || quote.changePercent === undefined) return null;
+        const met = Math.abs(quote.changePercent) >= rule.threshold;
+        if (!met || rule.lastTriggeredDate === tradingDate) return null;
+        rule.lastTriggeredDate = tradingDate;
+        return 'rate.change';
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 수집한 환율로 규칙 평가 → 발생한 알림을 웹훅으로 전송 (전송은 기다리지 않음)
+   * @param {Object} data - CurrencyService.processRates 결과
+   * @returns {Promise<number>} 발생한 알림 수
+   */
+  async evaluate(data) {
+    const state = await this.load();
+    const now = new Date().toISOString();
+    // change 규칙의 하루 한 번은 환율 기준 거래일 단위 (UTC 자정을 넘겨도 같은 거래일이면 다시 울리지 않음)
+    const tradingDate = data.tradingDate || now.slice(0, 10);
+    const triggered = [];
+    let changed = false;
+
+    state.rules.filter(rule => rule.enabled).forEach(rule => {
+      const quote = data.rates?.[rule.code];
+      if (!quote || quote.degraded) return; // quorum 미충족 값으로는 알리지 않음
+      const { active, lastTriggeredDate } = rule;
+      const event = this.check(rule, quote, tradingDate);
+      if (rule.active !== active || rule.lastTriggeredDate !== lastTriggeredDate) changed = true;
+      if (!event) return;
+      rule.lastTriggeredAt = now;
+      triggered.push({ rule, event, quote });
+    });
+
+    // 트리거 상태가 바뀐 경우에만 저장 (알림 발생은 항상 상태 변경을 동반)
+    if (changed) await this.save();
+    triggered.forEach(({ rule, event, quote }) => {
+      logger.info(`Currency alert triggered: ${rule.code} ${rule.type} ${rule.threshold} (rate ${quote.rate})`);
+      this.deliver(rule, this.payload(rule, event, quote, data, now))
+        .catch(error => logger.error(`Currency alert delivery error: ${error.message}`));
+    });
+    return triggered.length;
+  }
+
+  payload(rule, event, quote, data, triggeredAt) {
+    return {
+      event,
+      rule: { id: rule.id, code: rule.code, type: rule.type, threshold: rule.threshold, note: rule.note || null },
+      pair: `${rule.code}/${data.base || 'KRW'}`,
+      rate: quote.rate,
+      previousClose: quote.previousClose ?? null,
+      change: quote.change ?? null,
+      changePercent: quote.changePercent ?? null,
+      ratesTimestamp: data.timestamp,
+      triggeredAt
+    };
+  }
+
+  // 테스트 전송: 현재 조건과 무관하게 규칙의 웹훅으로 샘플 이벤트를 보낸다
+  async testRule(id) {
+    const { rules } = await this.load();
+    const rule = rules.find(r => r.id === id);
+    if (!rule) return { success: false, error: 'Alert rule not found', notFound: true };
+    const now = new Date().toISOString();
+    const delivery = await this.deliver(rule, {
+      event: 'test',
+      rule: { id: rule.id, code: rule.code, type: rule.type, threshold: rule.threshold, note: rule.note || null },
+      triggeredAt: now
+    });
+    return { success: true, data: delivery };
+  }
+
+  // 서명: HMAC-SHA256(secret, "<timestamp>.<body>") → X-Alert-Signature: sha256=<hex>
+  sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  async deliver(rule, payload) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      event: payload.event,
+      url: rule.webhookUrl,
+      status: 'pending',
+      attempts: [],
+      payload,
+      createdAt: new Date().toISOString(),
+      deliveredAt: null
+    };
+    const body = JSON.stringify({ id: delivery.id, ...payload });
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      try {
+        const response = await axios.post(rule.webhookUrl, body, {
+          timeout: this.timeoutMs,
+          headers: {
+            'Content-Type': 'application/json',
+            'User-Agent': 'EmarkNews/7.0',
+            'X-Alert-Id': delivery.id,
+            'X-Alert-Timestamp': timestamp,
+            'X-Alert-Signature': this.sign(rule.secret, timestamp, body)
+          },
+          validateStatus: status => status >= 200 && status < 300
+        });
+        delivery.attempts.push({ at: new Date().toISOString(), status: response.status });
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        break;
+      } catch (error) {
+        delivery.attempts.push({ at: new Date().toISOString(), status: error.response?.status || null, error: error.message });
+        if (attempt < this.maxAttempts) {
+          await sleep(this.retryBaseMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+
+    if (delivery.status !== 'delivered') {
+      delivery.status = 'failed';
+      logger.warn(`Currency alert webhook failed after ${this.maxAttempts} attempts: ${rule.webhookUrl}`);
+    }
+    const state = await this.load();
+    state.deliveries.push(delivery);
+    await this.save();
+    return delivery;
+  }
+
+  getStatus() {
+    return {
+      rules: this.state ? this.state.rules.length : null,
+      enabledRules: this.state ? this.state.rules.filter(rule => rule.enabled).length : null,
+      deliveries: this.state ? this.state.deliveries.length : null,
+      store: this.store.describe()
+    };
+  }
+}
+
+module.exports = new CurrencyAlertService();
@@ -1,18 +1,64 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
-const database = require('../config/database');
+const { PersistentStore } = require('../utils/persistentstore');
+const { SharedCache } = require('../utils/sharedcache');
+const { loadCurrencyConfig } = require('../config/currencies');
+const currencyAlerts = require('./currencyalerts');
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// 1 미만 환율(VND 등)은 소수 둘째 자리 반올림으로 0이 되지 않게 자릿수를 늘린다
+const roundRate = (value) => round(value, Math.abs(value) >= 1 ? 2 : 6);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
 
 class CurrencyService {
-  constructor() {
+  /**
+   * @param {Object} opts.currencies - 통화 구성 { base, tracked, currencies } (기본: src/config/currencies.json)
+   */
+  constructor(opts = {}) {
     this.apiKey = process.env.CURRENCY_API_KEY;
     this.cache = new Map();
     this.lastUpdate = null;
     this.updateInterval = 30 * 60 * 1000; // 30 minutes
+    // 최근 수집 환율 캐시 (Redis 연결 시 인스턴스 간 공유, 아니면 프로세스 로컬)
+    this.rateCache = opts.rateCache || new SharedCache('currency');
+
+    // 추적 통화: src/config/currencies.json (CURRENCY_CODES로 목록 변경)
+    const config = opts.currencies || loadCurrencyConfig();
+    this.base = config.base;
+    this.tracked = config.tracked;
+    this.currencies = config.currencies;
+
+    // 마지막으로 응답한 업스트림의 원래 기준 통화 호가 (교차 환율 계산용)
+    this.latestQuotes = null;
+
+    // 수집 모드: first(응답한 첫 업스트림 사용) | quorum(전체 병렬 조회 → 이상치 제외 → 중앙값)
+    this.mode = process.env.CURRENCY_MODE === 'quorum' ? 'quorum' : 'first';
+    this.quorum = {
+      tolerancePercent: Number(process.env.CURRENCY_QUORUM_TOLERANCE_PERCENT || 1),
+      minProviders: Number(process.env.CURRENCY_QUORUM_MIN_PROVIDERS || 2)
+    };
+
+    // 환율 알림 규칙 (백그라운드 갱신마다 평가)
+    this.alerts = opts.alerts || currencyAlerts;
+
+    // 환율 이력: 수집한 스냅샷(최근 며칠)과 거래일별 종가(마지막 스냅샷)를 보관
+    // 상태 형태: { snapshots: [{ at, date, source, rates }], daily: { [date]: { date, close, high, low, samples, updatedAt, source } } }
+    this.historyStore = new PersistentStore('currency-history');
+    this.historyDays = Number(process.env.CURRENCY_HISTORY_DAYS || 400);
+    this.snapshotRetentionDays = Number(process.env.CURRENCY_SNAPSHOT_RETENTION_DAYS || 7);
+    this.snapshotMinIntervalMs = Number(process.env.CURRENCY_SNAPSHOT_MIN_INTERVAL_SEC || 300) * 1000;
+    this.history = null;
   }
 
   async getCurrencyRates() {
     try {
-      const cacheKey = 'currency:rates';
+      const cacheKey = 'rates';
       
       // Check cache first
       const cached = await this.getCachedRates(cacheKey);
@@ -44,7 +90,7 @@ class CurrencyService {
       
       // Try to return cached data on error
       try {
-        const cached = await this.getCachedRates('currency:rates');
+        const cached = await this.getCachedRates('rates');
         if (cached) {
           return {
             success: true,
@@ -66,19 +112,39 @@ class CurrencyService {
   }
 
   async fetchRates() {
-    // Try multiple sources for better reliability
-    const sources = [
-      () => this.fetchFromExchangeRate(),
-      () => this.fetchFromFixer(),
-      () => this.fetchFromFreeAPI()
+    return this.mode === 'quorum' ? this.fetchQuorumRates() : this.fetchFirstRates();
+  }
+
+  // 업스트림 목록 (fixer는 API 키가 있을 때만)
+  providers() {
+    return [
+      ['exchangerate-api', () => this.fetchFromExchangeRate()],
+      ...(this.apiKey ? [['fixer', () => this.fetchFromFixer()]] : []),
+      ['currencylayer', () => this.fetchFromFreeAPI()]
     ];
+  }
 
-    for (const fetchMethod of sources) {
+  // 업스트림 1곳 조회 → 기준 통화 환율 (추적 통화가 하나도 없으면 실패)
+  async fetchProvider(source, fetchMethod) {
+    const upstream = await fetchMethod();
+    const rates = this.toBaseRates(upstream);
+    const missing = this.tracked.filter(code => !rates[code]);
+    if (missing.length === this.tracked.length) {
+      throw new Error(`${source} returned none of the tracked currencies`);
+    }
+    if (missing.length > 0) {
+      logger.warn(`Currency source ${source} missing ${missing.join(', ')}`);
+    }
+    return { source, upstream, rates };
+  }
+
+  async fetchFirstRates() {
+    // Try multiple sources for better reliability
+    for (const [source, fetchMethod] of this.providers()) {
       try {
-        const rates = await fetchMethod();
-        if (rates && rates.USD && rates.JPY && rates.EUR) {
-          return this.processRates(rates);
-        }
+        const { upstream, rates } = await this.fetchProvider(source, fetchMethod);
+        this.latestQuotes = { ...upstream, source, fetchedAt: new Date().toISOString() };
+        return this.finalizeRates(rates, source, { source, upstreamBase: upstream.base });
       } catch (error) {
         logger.warn('Currency source failed:', error.message);
         continue;
@@ -88,9 +154,105 @@ class CurrencyService {
     throw new Error('All currency sources failed');
   }
 
+  // 전체 업스트림 병렬 조회 → 통화별 중앙값에서 허용 오차(%)를 벗어난 값 제외 → 남은 값의 중앙값
+  async fetchQuorumRates() {
+    const settled = await Promise.allSettled(this.providers().map(([source, fetchMethod]) =>
+      this.fetchProvider(source, fetchMethod)
+    ));
+    const answered = settled.filter(result => result.status === 'fulfilled').map(result => result.value);
+    settled.filter(result => result.status === 'rejected')
+      .forEach(result => logger.warn('Currency source failed:', result.reason.message));
+    if (answered.length === 0) {
+      throw new Error('All currency sources failed');
+    }
+
+    const rates = { timestamp: answered.map(a => a.rates.timestamp).filter(Boolean).sort().pop() };
+    const provenance = {};
+    this.tracked.forEach(code => {
+      const candidates = answered.filter(a => a.rates[code]).map(a => ({ source: a.source, base: a.upstream.base, rate: a.rates[code] }));
+      if (candidates.length === 0) return;
+
+      const center = median(candidates.map(c => c.rate));
+      const providers = candidates.map(c => {
+        const deviationPercent = ((c.rate - center) / center) * 100;
+        return {
+          ...c,
+          rate: roundRate(c.rate),
+          deviationPercent: round(deviationPercent, 3),
+          accepted: Math.abs(deviationPercent) <= this.quorum.tolerancePercent
+        };
+      });
+      const accepted = candidates.filter((c, i) => providers[i].accepted);
+      // 값이 둘뿐인데 서로 2×허용 오차 이상 벌어지면 둘 다 제외되므로, 우선순위가 가장 높은 업스트림 값을 쓴다
+      const fallback = accepted.length === 0 ? candidates[0] : null;
+      rates[code] = fallback ? fallback.rate : median(accepted.map(c => c.rate));
+      provenance[code] = {
+        providers,
+        accepted: accepted.length,
+        rejected: providers.length - accepted.length,
+        quorumMet: accepted.length >= this.quorum.minProviders,
+        ...(fallback ? { fallbackSource: fallback.source } : {})
+      };
+
+      const rejected = providers.filter(p => !p.accepted);
+      if (rejected.length > 0) {
+        logger.warn(`Currency outliers rejected for ${code}: ${rejected.map(p => `${p.source} ${p.rate} (${p.deviationPercent}%)`).join(', ')}`);
+      }
+    });
+
+    // 환산은 합의된 기준 통화 환율로
+    const sources = answered.map(a => a.source);
+    this.latestQuotes = {
+      base: this.base,
+      quotes: Object.fromEntries(this.tracked.filter(code => rates[code]).map(code => [code, 1 / rates[code]])),
+      source: `quorum(${sources.join(',')})`,
+      fetchedAt: new Date().toISOString()
+    };
+    return this.finalizeRates(rates, `quorum(${sources.join(',')})`, {
+      source: 'quorum',
+      upstreamBase: this.base,
+      providers: sources,
+      provenance
+    });
+  }
+
+  // 새로 수집한 환율만 이력에 기록하고 알림 규칙을 평가 (폴백 고정값·캐시 재사용분은 여기를 거치지 않음)
+  async finalizeRates(rates, source, upstream) {
+    const previous = await this.recordSnapshot(rates, source);
+    this.lastUpdate = new Date().toISOString();
+    const data = this.processRates(rates, previous, upstream);
+    try {
+      await this.alerts.evaluate(data);
+    } catch (error) {
+      logger.error('Currency alert evaluation failed:', error);
+    }
+    return data;
+  }
+
+  // 거래일: API가 알려준 환율 기준일 (없거나 잘못된 값이면 수집 시각의 UTC 날짜)
+  tradingDateOf(rates, at = new Date()) {
+    const date = new Date(rates.timestamp || at);
+    return (isNaN(date.getTime()) ? at : date).toISOString().slice(0, 10);
+  }
+
+  // 업스트림 호가 { base, quotes: { 통화: 기준 통화 1단위당 수량 } } → 표시 기준 통화(KRW) 환율
+  toBaseRates({ base, quotes, timestamp }) {
+    const quote = (code) => (code === base ? 1 : quotes[code]);
+    const baseQuote = quote(this.base);
+    if (!baseQuote) {
+      throw new Error(`Upstream (${base}) has no ${this.base} quote`);
+    }
+
+    const rates = { timestamp };
+    this.tracked.forEach(code => {
+      if (quote(code)) rates[code] = baseQuote / quote(code);
+    });
+    return rates;
+  }
+
   async fetchFromExchangeRate() {
     // Using free exchangerate-api.com
-    const response = await axios.get('https://api.exchangerate-api.com/v4/latest/KRW', {
+    const response = await axios.get(`https://api.exchangerate-api.com/v4/latest/${this.base}`, {
       timeout: 10000,
       headers: {
         'User-Agent': 'EmarkNews/7.0'
@@ -99,10 +261,8 @@ class CurrencyService {
 
     const data = response.data;
     return {
-      USD: 1 / data.rates.USD,
-      JPY: 1 / data.rates.JPY,
-      EUR: 1 / data.rates.EUR,
-      CNY: 1 / data.rates.CNY,
+      base: data.base || this.base,
+      quotes: data.rates,
       timestamp: data.date
     };
   }
@@ -112,7 +272,8 @@ class CurrencyService {
       throw new Error('No currency API key available');
     }
 
-    const response = await axios.get(`https://api.fixer.io/latest?access_key=${this.apiKey}&base=EUR&symbols=USD,KRW,JPY,CNY`, {
+    const symbols = [this.base, ...this.tracked].join(',');
+    const response = await axios.get(`https://api.fixer.io/latest?access_key=${this.apiKey}&base=EUR&symbols=${symbols}`, {
       timeout: 10000
     });
 
@@ -121,20 +282,17 @@ class CurrencyService {
       throw new Error('Fixer API error');
     }
 
-    // Convert EUR base to KRW base
-    const eurToKrw = data.rates.KRW;
     return {
-      USD: eurToKrw / data.rates.USD,
-      JPY: eurToKrw / data.rates.JPY,
-      EUR: eurToKrw,
-      CNY: eurToKrw / data.rates.CNY,
+      base: data.base || 'EUR',
+      quotes: data.rates,
       timestamp: data.date
     };
   }
 
   async fetchFromFreeAPI() {
     // Using free currencylayer (limited requests)
-    const response = await axios.get('https://api.currencylayer.com/live?access_key=free&currencies=KRW,USD,JPY,EUR,CNY&source=USD', {
+    const currencies = [this.base, ...this.tracked].join(',');
+    const response = await axios.get(`https://api.currencylayer.com/live?access_key=free&currencies=${currencies}&source=USD`, {
       timeout: 10000
     });
 
@@ -143,101 +301,224 @@ class CurrencyService {
       throw new Error('Currencylayer API error');
     }
 
-    // Convert USD base to KRW base
-    const usdToKrw = data.quotes.USDKRW;
+    // quotes 키는 "USDKRW" 형태 → 통화 코드만 남긴다
+    const source = data.source || 'USD';
     return {
-      USD: usdToKrw,
-      JPY: usdToKrw / (data.quotes.USDJPY || 110),
-      EUR: usdToKrw / (data.quotes.USDEUR || 0.85),
-      CNY: usdToKrw / (data.quotes.USDCNY || 7),
+      base: source,
+      quotes: Object.fromEntries(Object.entries(data.quotes || {}).map(([pair, value]) => [pair.slice(source.length), value])),
       timestamp: new Date(data.timestamp * 1000).toISOString()
     };
   }
 
-  processRates(rates) {
+  // 변동폭: 직전 거래일 종가 대비 (이력이 없으면 null)
+  processRates(rates, previous = null, upstream = {}) {
     const now = new Date();
-    
-    // Calculate changes (mock data for demo)
-    const changes = {
-      USD: (Math.random() - 0.5) * 20, // -10 to +10
-      JPY: (Math.random() - 0.5) * 2,  // -1 to +1
-      EUR: (Math.random() - 0.5) * 30, // -15 to +15
-      CNY: (Math.random() - 0.5) * 10  // -5 to +5
-    };
+    const processed = {};
+
+    this.tracked.forEach(code => {
+      if (!rates[code]) return;
+      const { fallbackRate, ...info } = this.currencies[code];
+      const rate = roundRate(rates[code]);
+      const previousClose = previous?.close[code] ?? null;
+      processed[code] = {
+        rate,
+        change: previousClose !== null ? roundRate(rate - previousClose) : null,
+        changePercent: previousClose ? round(((rate - previousClose) / previousClose) * 100) : null,
+        previousClose,
+        ...info,
+        ...(upstream.provenance?.[code] ? { provenance: upstream.provenance[code] } : {}),
+        // 합의에 이르지 못한 값 (quorum 모드): 표시는 하되 알림 평가에서는 제외
+        ...(upstream.provenance?.[code] && !upstream.provenance[code].quorumMet ? { degraded: true } : {})
+      };
+    });
+    const degraded = Object.keys(processed).filter(code => processed[code].degraded);
 
     return {
       timestamp: now.toISOString(),
       lastUpdate: now.toISOString(),
-      rates: {
-        USD: {
-          rate: Math.round(rates.USD * 100) / 100,
-          change: Math.round(changes.USD * 100) / 100,
-          symbol: '$',
-          name: '미국 달러',
-          flag: '🇺🇸'
-        },
-        JPY: {
-          rate: Math.round(rates.JPY * 100) / 100,
-          change: Math.round(changes.JPY * 100) / 100,
-          symbol: '¥',
-          name: '일본 엔',
-          flag: '🇯🇵'
-        },
-        EUR: {
-          rate: Math.round(rates.EUR * 100) / 100,
-          change: Math.round(changes.EUR * 100) / 100,
-          symbol: '€',
-          name: '유로',
-          flag: '🇪🇺'
-        },
-        CNY: {
-          rate: Math.round(rates.CNY * 100) / 100,
-          change: Math.round(changes.CNY * 100) / 100,
-          symbol: '¥',
-          name: '중국 위안',
-          flag: '🇨🇳'
-        }
-      },
+      base: this.base,
+      rates: processed,
+      tradingDate: this.tradingDateOf(rates, now),
+      previousCloseDate: previous?.date || null,
       source: 'Multiple APIs',
+      upstream: upstream.source
+        ? { source: upstream.source, base: upstream.upstreamBase, ...(upstream.providers ? { providers: upstream.providers } : {}) }
+        : null,
+      mode: this.mode,
+      ...(degraded.length > 0 ? { degraded } : {}),
       disclaimer: '환율은 실시간이 아닐 수 있으며, 투자 결정시 참고용으로만 사용하세요.'
     };
   }
 
+  /**
+   * 통화 환산: 마지막으로 응답한 업스트림의 원래 기준 통화 호가로 교차 환율을 계산한다.
+   * (업스트림이 모두 실패하면 폴백 환율 사용)
+   * @param {string} from - 원 통화 (기준 통화 또는 추적 통화)
+   * @param {string} to - 대상 통화
+   * @param {number} amount - 금액
+   */
+  async convert(from, to, amount) {
+    const validCodes = [this.base, ...this.tracked];
+    if (!validCodes.includes(from) || !validCodes.includes(to)) {
+      return { success: false, error: 'Unsupported currency', validCodes };
+    }
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { success: false, error: 'Amount must be a non-negative number' };
+    }
+
+    let quotes = this.latestQuotes && this.isCacheValid(this.latestQuotes.fetchedAt) ? this.latestQuotes : null;
+    let fallback = false;
+    if (!quotes) {
+      const result = await this.getCurrencyRates();
+      fallback = Boolean(result.data?.fallback);
+      quotes = this.latestQuotes && !fallback ? this.latestQuotes : this.quotesFromRates(result.data);
+    }
+
+    const quote = (code) => (code === quotes.base ? 1 : quotes.quotes[code]);
+    if (!quote(from) || !quote(to)) {
+      return { success: false, error: `No rate available for ${!quote(from) ? from : to}` };
+    }
+
+    const rate = quote(to) / quote(from);
+    return {
+      success: true,
+      data: {
+        from,
+        to,
+        amount,
+        rate: round(rate, 6),
+        result: roundRate(amount * rate),
+        upstream: { source: quotes.source, base: quotes.base, fetchedAt: quotes.fetchedAt || null },
+        fallback,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  // 기준 통화 환율(캐시/폴백 데이터) → 호가 형태
+  quotesFromRates(data) {
+    return {
+      base: data.base || this.base,
+      quotes: Object.fromEntries(Object.entries(data.rates || {}).map(([code, { rate }]) => [code, 1 / rate])),
+      source: data.upstream?.source || data.source,
+      fetchedAt: data.lastUpdate || null
+    };
+  }
+
+  async loadHistory() {
+    if (!this.history) {
+      const saved = await this.historyStore.load(null);
+      this.history = {
+        snapshots: Array.isArray(saved?.snapshots) ? saved.snapshots : [],
+        daily: saved?.daily && typeof saved.daily === 'object' ? saved.daily : {}
+      };
+    }
+    return this.history;
+  }
+
+  // 스냅샷 기록 → 해당 거래일 종가/고가/저가 갱신 → 직전 거래일 종가 반환
+  // 거래일은 API가 알려준 환율 기준일 (주말에는 금요일 환율이 그대로 오므로 같은 거래일로 묶임)
+  // 직전 스냅샷과 거래일·환율이 같거나 CURRENCY_SNAPSHOT_MIN_INTERVAL_SEC(기본 300초) 안이면 기록하지 않는다
+  async recordSnapshot(rates, source) {
+    try {
+      const history = await this.loadHistory();
+      const now = new Date();
+      const at = now.toISOString();
+      const date = this.tradingDateOf(rates, now);
+      const snapshotRates = Object.fromEntries(this.tracked
+        .filter(code => rates[code])
+        .map(code => [code, round(rates[code], 6)]));
+
+      const last = history.snapshots[history.snapshots.length - 1];
+      if (last && (this.sameSnapshot(last, date, snapshotRates) ||
+          now.getTime() - new Date(last.at).getTime() < this.snapshotMinIntervalMs)) {
+        return this.previousClose(date);
+      }
+
+      history.snapshots.push({ at, date, source, rates: snapshotRates });
+      const snapshotCutoff = Date.now() - this.snapshotRetentionDays * 24 * 60 * 60 * 1000;
+      history.snapshots = history.snapshots.filter(snapshot => new Date(snapshot.at).getTime() >= snapshotCutoff);
+
+      const day = history.daily[date] || { date, close: {}, high: {}, low: {}, samples: 0 };
+      Object.entries(snapshotRates).forEach(([code, rate]) => {
+        day.close[code] = rate;
+        day.high[code] = Math.max(day.high[code] ?? rate, rate);
+        day.low[code] = Math.min(day.low[code] ?? rate, rate);
+      });
+      day.samples++;
+      day.updatedAt = at;
+      day.source = source;
+      history.daily[date] = day;
+
+      const dates = Object.keys(history.daily).sort();
+      dates.slice(0, Math.max(0, dates.length - this.historyDays)).forEach(old => delete history.daily[old]);
+
+      await this.historyStore.save(history);
+      return this.previousClose(date);
+    } catch (error) {
+      logger.warn('Currency history update failed:', error.message);
+      return null;
+    }
+  }
+
+  sameSnapshot(snapshot, date, rates) {
+    const codes = Object.keys(rates);
+    return snapshot.date === date &&
+      codes.length === Object.keys(snapshot.rates).length &&
+      codes.every(code => snapshot.rates[code] === rates[code]);
+  }
+
+  previousClose(date) {
+    const previousDate = Object.keys(this.history.daily).sort().filter(d => d < date).pop();
+    return previousDate ? this.history.daily[previousDate] : null;
+  }
+
+  /**
+   * 통화별 거래일 종가 이력 (스파크라인용, 오래된 순)
+   * @param {string} code - 추적 통화 코드 (USD, JPY, ...)
+   * @param {number} days - 최근 거래일 수
+   */
+  async getHistory(code, days = 30) {
+    if (!this.tracked.includes(code)) {
+      return { success: false, error: 'Unsupported currency', validCodes: this.tracked };
+    }
+
+    const history = await this.loadHistory();
+    const points = Object.keys(history.daily).sort()
+      .map(date => history.daily[date])
+      .filter(day => day.close[code] !== undefined)
+      .slice(-days)
+      .map(day => ({ date: day.date, close: day.close[code], high: day.high[code], low: day.low[code] }));
+
+    const first = points[0]?.close;
+    const last = points[points.length - 1]?.close;
+    return {
+      success: true,
+      data: {
+        code,
+        base: this.base,
+        days: points.length,
+        points,
+        change: points.length > 1 ? round(last - first) : null,
+        changePercent: points.length > 1 && first ? round(((last - first) / first) * 100) : null
+      }
+    };
+  }
+
   getFallbackRates() {
-    // Static fallback rates (approximate values)
+    // Static fallback rates (approximate values from src/config/currencies.json)
+    const rates = {};
+    this.tracked.forEach(code => {
+      const { fallbackRate, ...info } = this.currencies[code];
+      if (!fallbackRate) return;
+      rates[code] = { rate: fallbackRate, change: 0, ...info };
+    });
+
     return {
       timestamp: new Date().toISOString(),
       lastUpdate: new Date().toISOString(),
-      rates: {
-        USD: {
-          rate: 1340.50,
-          change: 0,
-          symbol: '$',
-          name: '미국 달러',
-          flag: '🇺🇸'
-        },
-        JPY: {
-          rate: 8.95,
-          change: 0,
-          symbol: '¥',
-          name: '일본 엔',
-          flag: '🇯🇵'
-        },
-        EUR: {
-          rate: 1456.30,
-          change: 0,
-          symbol: '€',
-          name: '유로',
-          flag: '🇪🇺'
-        },
-        CNY: {
-          rate: 186.45,
-          change: 0,
-          symbol: '¥',
-          name: '중국 위안',
-          flag: '🇨🇳'
-        }
-      },
+      base: this.base,
+      rates,
       source: 'Fallback Data',
       disclaimer: '네트워크 오류로 인해 기본값을 표시합니다. 실제 환율과 다를 수 있습니다.',
       fallback: true
@@ -246,13 +527,7 @@ class CurrencyService {
 
   async getCachedRates(cacheKey) {
     try {
-      const client = database.getClient();
-      if (!client || !client.isOpen) return null;
-      
-      const cached = await client.get(cacheKey);
-      if (cached) {
-        return JSON.parse(cached);
-      }
+      return await this.rateCache.get(cacheKey);
     } catch (error) {
       logger.warn('Currency cache read failed:', error.message);
     }
@@ -261,10 +536,7 @@ class CurrencyService {
 
   async cacheRates(cacheKey, rates) {
     try {
-      const client = database.getClient();
-      if (!client || !client.isOpen) return;
-      
-      await client.setEx(cacheKey, 1800, JSON.stringify(rates)); // 30 minutes TTL
+      await this.rateCache.set(cacheKey, rates, 1800); // 30 minutes TTL
       logger.info('💰 Currency rates cached');
     } catch (error) {
       logger.warn('Currency cache write failed:', error.message);
@@ -282,15 +554,14 @@ class CurrencyService {
     // Update every 30 minutes
     const UPDATE_INTERVAL = 30 * 60 * 1000;
     
+    // 요청이 없어도 주기적으로 수집해 알림 규칙이 평가되도록 한다 (평가는 finalizeRates에서)
+    const refresh = () => this.getCurrencyRates();
+
     // Initial update after 1 minute
-    setTimeout(() => {
-      this.getCurrencyRates();
-    }, 60000);
+    setTimeout(refresh, 60000);
     
     // Regular updates
-    setInterval(() => {
-      this.getCurrencyRates();
-    }, UPDATE_INTERVAL);
+    setInterval(refresh, UPDATE_INTERVAL);
     
     logger.info('💱 Currency background updates started (30-minute interval)');
   }
@@ -300,7 +571,18 @@ class CurrencyService {
       hasApiKey: !!this.apiKey,
       lastUpdate: this.lastUpdate,
       cacheSize: this.cache.size,
-      updateInterval: this.updateInterval
+      updateInterval: this.updateInterval,
+      base: this.base,
+      tracked: this.tracked,
+      mode: this.mode,
+      quorum: this.mode === 'quorum' ? this.quorum : undefined,
+      upstream: this.latestQuotes ? { source: this.latestQuotes.source, base: this.latestQuotes.base } : null,
+      alerts: this.alerts.getStatus(),
+      history: {
+        tradingDays: this.history ? Object.keys(this.history.daily).length : null,
+        snapshots: this.history ? this.history.snapshots.length : null,
+        store: this.historyStore.describe()
+      }
     };
   }
 }
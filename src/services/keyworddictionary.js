@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { PersistentStore } = require('../utils/persistentstore');
+
+// 편집자 키워드 사전: 평점 요인(urgent/important, 랭킹의 developing/engaging/popular)과 태그(tag)를 결정한다.
+// 초기값은 src/config/keywords.json (KEYWORD_DICTIONARY_FILE로 변경 가능)이고,
+// 관리자 API로 수정하면 버전이 올라간 사전 전체가 저장소에 보관되어 이후에는 저장본이 우선한다.
+const DEFAULT_DICTIONARY_PATH = path.join(__dirname, '../config/keywords.json');
+const KINDS = ['category', 'topic'];
+const CORE_DICTIONARIES = ['urgent', 'important', 'developing', 'engaging', 'popular']; // 평점/랭킹 요인으로 쓰여 삭제 불가
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 키워드 문자 체계별 경계 규칙
+// - 일본어/중국어: 띄어쓰기가 없어 부분 일치
+// - 한국어: 어절 시작 일치 (뒤에 조사가 붙어도 일치)
+// - 그 외: 단어 경계 일치 (복수형 s/es 허용) → "ai"가 "said", "eu"가 "museum"에 걸리지 않음
+const keywordPattern = (keyword) => {
+  const k = escapeRegExp(keyword.trim().toLowerCase()).replace(/\s+/g, '\\s+');
+  if (/[\u3040-\u30ff\u4e00-\u9fff]/.test(keyword)) return k;
+  if (/[\uac00-\ud7a3]/.test(keyword)) return `(?<![\\p{L}\\p{N}])${k}`;
+  return `(?<![\\p{L}\\p{N}])${k}(?:s|es)?(?![\\p{L}\\p{N}])`;
+};
+
+const compileKeywords = (keywords) => {
+  const unique = [...new Set(keywords.filter(k => typeof k === 'string' && k.trim()))];
+  return unique.length > 0 ? new RegExp(unique.map(keywordPattern).join('|'), 'u') : null;
+};
+
+class KeywordDictionaryService {
+  constructor() {
+    this.file = process.env.KEYWORD_DICTIONARY_FILE || DEFAULT_DICTIONARY_PATH;
+    this.store = new PersistentStore('keyword-dictionaries');
+    this.data = this.loadFile();
+    this.compiled = {};
+    this.compile();
+    this.ready = this.load();
+  }
+
+  loadFile() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      logger.error(`Keyword dictionary file load failed: ${error.message}`);
+      return { version: 0, dictionaries: {} };
+    }
+  }
+
+  async load() {
+    const stored = await this.store.load(null);
+    if (stored && stored.dictionaries) {
+      // 저장본보다 나중에 추가된 핵심 사전은 파일 기본값으로 채움
+      const missing = CORE_DICTIONARIES.filter(name => !stored.dictionaries[name] && this.data.dictionaries[name]);
+      missing.forEach(name => { stored.dictionaries[name] = this.data.dictionaries[name]; });
+      this.data = stored;
+      this.compile();
+      logger.info(`Loaded keyword dictionaries v${stored.version}`);
+    }
+  }
+
+  compile() {
+    this.compiled = Object.fromEntries(Object.entries(this.data.dictionaries).map(([name, dictionary]) => [
+      name,
+      compileKeywords(Object.values(dictionary.entries || {}).flat())
+    ]));
+  }
+
+  matches(name, text) {
+    const pattern = this.compiled[name];
+    return Boolean(pattern && pattern.test(text));
+  }
+
+  // 사전 순서대로 일치한 태그 (kind별)
+  tagsFor(text) {
+    const tags = { category: [], topic: [] };
+    Object.entries(this.data.dictionaries).forEach(([name, dictionary]) => {
+      if (dictionary.tag && this.matches(name, text)) tags[dictionary.kind || 'topic'].push(dictionary.tag);
+    });
+    return tags;
+  }
+
+  list() {
+    return { version: this.data.version, updatedAt: this.data.updatedAt || null, dictionaries: this.data.dictionaries };
+  }
+
+  get(name) {
+    return this.data.dictionaries[name] || null;
+  }
+
+  validateEntries(entries) {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      return ['entries must be an object keyed by language code'];
+    }
+    const errors = [];
+    Object.entries(entries).forEach(([language, keywords]) => {
+      if (!/^[a-z]{2}$/.test(language)) errors.push(`invalid language code "${language}"`);
+      if (!Array.isArray(keywords) || keywords.some(k => typeof k !== 'string' || !k.trim())) {
+        errors.push(`entries.${language} must be an array of non-empty strings`);
+      }
+    });
+    return errors;
+  }
+
+  // 사전 생성/교체
+  async upsert(name, { tag = null, kind = 'topic', entries } = {}) {
+    await this.ready;
+    const errors = this.validateEntries(entries);
+    if (!/^[a-z][a-z0-9_-]*$/.test(name || '')) errors.push('name must be lowercase letters, digits, "-" or "_"');
+    if (!KINDS.includes(kind)) errors.push(`kind must be one of ${KINDS.join(', ')}`);
+    if (tag !== null && (typeof tag !== 'string' || !tag.trim())) errors.push('tag must be a non-empty string or null');
+    if (errors.length > 0) return { success: false, error: 'Invalid dictionary', details: errors };
+
+    const normalized = Object.fromEntries(Object.entries(entries).map(([language, keywords]) =>
+      [language, [...new Set(keywords.map(k => k.trim().toLowerCase()))]]
+    ));
+    return this.commit(`upsert ${name}`, dictionaries => {
+      dictionaries[name] = { tag, kind, entries: normalized };
+    }, name);
+  }
+
+  async addKeywords(name, language, keywords) {
+    return this.editKeywords(name, language, keywords, (current, input) => [...new Set([...current, ...input])]);
+  }
+
+  async removeKeywords(name, language, keywords) {
+    return this.editKeywords(name, language, keywords, (current, input) => current.filter(k => !input.includes(k)));
+  }
+
+  async editKeywords(name, language, keywords, apply) {
+    await this.ready;
+    if (!this.get(name)) return { success: false, error: 'Dictionary not found', notFound: true };
+    const errors = this.validateEntries({ [language]: keywords });
+    if (errors.length > 0) return { success: false, error: 'Invalid keywords', details: errors };
+
+    const input = keywords.map(k => k.trim().toLowerCase());
+    return this.commit(`edit ${name}.${language}`, dictionaries => {
+      const entries = { ...dictionaries[name].entries };
+      entries[language] = apply(entries[language] || [], input);
+      if (entries[language].length === 0) delete entries[language];
+      dictionaries[name] = { ...dictionaries[name], entries };
+    }, name);
+  }
+
+  async remove(name) {
+    await this.ready;
+    if (!this.get(name)) return { success: false, error: 'Dictionary not found', notFound: true };
+    if (CORE_DICTIONARIES.includes(name)) {
+      return { success: false, error: `"${name}" is used for rating and cannot be deleted (edit its keywords instead)` };
+    }
+    return this.commit(`delete ${name}`, dictionaries => { delete dictionaries[name]; }, null);
+  }
+
+  // 변경 적용 → 버전 증가 → 저장 → 매처 재컴파일
+  async commit(change, mutate, name) {
+    const dictionaries = { ...this.data.dictionaries };
+    mutate(dictionaries);
+    this.data = {
+      version: (this.data.version || 0) + 1,
+      updatedAt: new Date().toISOString(),
+      change,
+      dictionaries
+    };
+    this.compile();
+    await this.store.save(this.data);
+    logger.info(`Keyword dictionaries updated to v${this.data.version} (${change})`);
+    return {
+      success: true,
+      data: { version: this.data.version, name, dictionary: name ? dictionaries[name] : null }
+    };
+  }
+
+  getStatus() {
+    const dictionaries = Object.values(this.data.dictionaries);
+    return {
+      version: this.data.version,
+      dictionaries: dictionaries.length,
+      totalKeywords: dictionaries.reduce((sum, d) => sum + Object.values(d.entries || {}).flat().length, 0),
+      store: this.store.describe()
+    };
+  }
+}
+
+module.exports = new KeywordDictionaryService();
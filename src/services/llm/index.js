@@ -0,0 +1,69 @@
+const logger = require('../../utils/logger');
+const LLMProvider = require('./llmprovider');
+const OpenAIProvider = require('./openaiprovider');
+const StubProvider = require('./stubprovider');
+
+const TASK_TYPES = ['translate', 'summarize', 'detailedSummary'];
+const PROVIDER_NAMES = ['openai', 'compatible', 'stub'];
+const DEFAULT_PROVIDER = 'openai';
+
+// 작업별 프로바이더 환경변수 (없으면 LLM_PROVIDER)
+const TASK_ENV = {
+  translate: 'LLM_PROVIDER_TRANSLATE',
+  summarize: 'LLM_PROVIDER_SUMMARIZE',
+  detailedSummary: 'LLM_PROVIDER_DETAILED_SUMMARY'
+};
+
+function createProvider(name, env = process.env) {
+  switch (name) {
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL || 'gpt-4o-mini'
+      });
+    case 'compatible':
+      return new OpenAIProvider({
+        name: 'compatible',
+        baseURL: env.LLM_COMPAT_BASE_URL || 'http://localhost:8000/v1',
+        apiKey: env.LLM_COMPAT_API_KEY,
+        model: env.LLM_COMPAT_MODEL || 'local-model',
+        requiresKey: false
+      });
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * 작업 유형별 프로바이더 구성
+ * 같은 이름의 프로바이더는 인스턴스를 공유한다.
+ * @returns {{translate: LLMProvider, summarize: LLMProvider, detailedSummary: LLMProvider}}
+ */
+function createTaskProviders(env = process.env) {
+  // 잘못된 이름 때문에 시작 시 앱 전체가 죽지 않도록 경고 후 기본 프로바이더로 대체
+  const known = (name, variable, fallback) => {
+    if (PROVIDER_NAMES.includes(name)) return name;
+    logger.warn(`Unknown LLM provider "${name}" in ${variable}, using "${fallback}"`);
+    return fallback;
+  };
+  const defaultName = env.LLM_PROVIDER ? known(env.LLM_PROVIDER, 'LLM_PROVIDER', DEFAULT_PROVIDER) : DEFAULT_PROVIDER;
+  const instances = {};
+  return TASK_TYPES.reduce((providers, task) => {
+    const name = env[TASK_ENV[task]] ? known(env[TASK_ENV[task]], TASK_ENV[task], defaultName) : defaultName;
+    instances[name] = instances[name] || createProvider(name, env);
+    providers[task] = instances[name];
+    return providers;
+  }, {});
+}
+
+module.exports = {
+  TASK_TYPES,
+  PROVIDER_NAMES,
+  LLMProvider,
+  OpenAIProvider,
+  StubProvider,
+  createProvider,
+  createTaskProviders
+};
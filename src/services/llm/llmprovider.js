@@ -0,0 +1,22 @@
+// LLM 프로바이더 공통 인터페이스
+// chat()은 { content, headers }를 반환한다. headers는 레이트리밋 갱신용(없으면 null).
+class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.model = options.model || null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async chat({ task, messages, maxTokens, temperature }) {
+    throw new Error(`${this.name} provider does not implement chat()`);
+  }
+
+  describe() {
+    return { name: this.name, model: this.model, configured: this.isConfigured() };
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,37 @@
+const axios = require('axios');
+const LLMProvider = require('./llmprovider');
+
+// OpenAI 및 OpenAI 호환 서버(llama.cpp, vLLM 등)의 /chat/completions
+class OpenAIProvider extends LLMProvider {
+  constructor(options = {}) {
+    super(options.name || 'openai', { model: options.model || 'gpt-4o-mini' });
+    this.baseURL = (options.baseURL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || '';
+    this.requiresKey = options.requiresKey ?? true;
+    this.timeout = options.timeout || 20000;
+  }
+
+  isConfigured() {
+    return this.requiresKey ? Boolean(this.apiKey) : Boolean(this.baseURL);
+  }
+
+  async chat({ messages, maxTokens, temperature = 0.2, responseFormat }) {
+    const body = { model: this.model, messages, max_tokens: maxTokens, temperature };
+    if (responseFormat) body.response_format = responseFormat;
+
+    const res = await axios.post(`${this.baseURL}/chat/completions`, body, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: this.timeout
+    });
+    return {
+      content: res.data.choices[0].message.content.trim(),
+      headers: res.headers
+    };
+  }
+
+  describe() {
+    return { ...super.describe(), baseURL: this.baseURL };
+  }
+}
+
+module.exports = OpenAIProvider;
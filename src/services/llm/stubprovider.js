@@ -0,0 +1,45 @@
+const LLMProvider = require('./llmprovider');
+
+// 네트워크 없이 동작하는 결정적(deterministic) 스텁
+// 테스트/개발 환경용: 같은 입력에는 항상 같은 출력을 낸다.
+class StubProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('stub', { model: options.model || 'stub' });
+  }
+
+  async chat({ task, messages, maxTokens, responseFormat }) {
+    const input = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    if (responseFormat?.type === 'json_object') {
+      return { content: this.respondJSON(task, input), headers: null };
+    }
+    return { content: this.respond(task, input, maxTokens), headers: null };
+  }
+
+  // 구조화 출력: 배치 번역 입력({ items: [...] })을 { translations: [...] }로 되돌려준다
+  respondJSON(task, input) {
+    const { items = [] } = JSON.parse(input);
+    return JSON.stringify({ translations: items.map(item => this.respond(task, item)) });
+  }
+
+  respond(task, input) {
+    const sentences = this.splitSentences(input);
+    switch (task) {
+      case 'summarize':
+        return sentences.slice(0, 5).map(s => `- ${s}`).join('\n');
+      case 'detailedSummary':
+        return sentences.slice(0, 3).join(' ');
+      case 'translate':
+      default:
+        return input;
+    }
+  }
+
+  splitSentences(text) {
+    return (text || '')
+      .split(/(?<=[.!?。！？])\s+|\n+/)
+      .map(s => s.trim())
+      .filter(Boolean);
+  }
+}
+
+module.exports = StubProvider;
@@ -1,6 +1,7 @@
 const Parser = require('rss-parser');
 const logger = require('../utils/logger');
 const { redis } = require('../config/database');
+const sourceReliability = require('./sourcereliability');
 
 class NewsService {
     constructor() {
@@ -76,7 +77,7 @@ class NewsService {
     }
 
     // 기사 중요도 평점 계산
-    calculateRating(title, description, source) {
+    calculateRating(title, description, source, url) {
         let rating = 3; // 기본 평점
         const content = (title + ' ' + description).toLowerCase();
         
@@ -85,8 +86,8 @@ class NewsService {
         if (content.includes('exclusive') || content.includes('special')) rating += 0.5;
         if (content.includes('crisis') || content.includes('emergency')) rating += 0.5;
         
-        // 소스별 가중치
-        if (source === 'BBC' || source === 'CNN') rating += 0.3;
+        // 출처 가중치: 출처 신뢰도 레지스트리 1-2등급
+        if (sourceReliability.tierFor({ source, url }) <= 2) rating += 0.3;
         
         return Math.min(5, Math.max(1, Math.round(rating * 10) / 10));
     }
@@ -184,7 +185,7 @@ class NewsService {
                         source: source.name,
                         publishedAt,
                         timeAgo: this.formatTimeAgo(publishedAt),
-                        rating: this.calculateRating(title, description, source.name),
+                        rating: this.calculateRating(title, description, source.name, item.link),
                         tags: this.generateTags(title, description, source.name),
                         id: Buffer.from(item.link).toString('base64').slice(0, 12),
                         // AI 기능 추가
@@ -1,36 +1,24 @@
-const axios = require('axios');
-const Parser = require('rss-parser');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
-const { redis } = require('../config/database');
+const { SharedCache } = require('../utils/sharedcache');
+const { loadSectionSources } = require('../config/sources');
+const { createDefaultRegistry } = require('./sources');
 const aiService = require('./aiservice');
 const ratingService = require('./ratingservice');
-
-const NEWS_API_KEY = process.env.NEWS_API_KEY || '';
-const GNEWS_API_KEY = process.env.GNEWS_API_KEY || '';
-const NAVER_CLIENT_ID = process.env.NAVER_CLIENT_ID || '';
-const NAVER_CLIENT_SECRET = process.env.NAVER_CLIENT_SECRET || '';
+const articleStore = require('./articlestore');
+const { clusterStories } = require('../utils/storyclustering');
+const { rankAndSort } = require('../utils/ranking');
+const weightProfiles = require('./weightprofiles');
 
 class NewsService {
-  constructor() {
-    this.parser = new Parser({
-      timeout: 5000,
-      headers: { 'User-Agent': 'EmarkNews/2.0 (Advanced News Aggregator)' }
-    });
-
-    // Axios clients
-    this.naverApi = axios.create({
-      baseURL: 'https://openapi.naver.com/v1/search/',
-      headers: {
-        'X-Naver-Client-Id': NAVER_CLIENT_ID,
-        'X-Naver-Client-Secret': NAVER_CLIENT_SECRET
-      },
-      timeout: 8000
-    });
-
-    this.gnewsApi = axios.create({
-      baseURL: 'https://gnews.io/api/v4/',
-      timeout: 8000
-    });
+  /**
+   * @param {Object} opts - 옵션
+   * @param {SourceRegistry} opts.registry - 소스 어댑터 레지스트리 (기본: RSS/GNews/Naver/Reddit/X/YouTube)
+   * @param {Object} opts.sources - 섹션별 소스 구성 (기본: src/config/sources.json)
+   */
+  constructor(opts = {}) {
+    this.registry = opts.registry || createDefaultRegistry();
 
     this.sectionTTLs = {
       world: 600,
@@ -40,55 +28,302 @@ class NewsService {
       business: 900,
       buzz: 180
     };
+    // 섹션 목록 캐시 (Redis 공유, 없으면 프로세스 로컬)
+    this.sectionCache = opts.sectionCache || new SharedCache('news');
     this.minRemainingRequests = 50;
     this.minRemainingTokens = 5000;
 
-    // 소스 정의 - API 우선, RSS 다음 (일본 제외)
-    this.sources = {
-      world: {
-        api: [{ type: 'gnews', params: { category: 'world', lang: 'en' } }],
-        rss: [
-          { url: 'https://feeds.bbci.co.uk/news/rss.xml', name: 'BBC News', lang: 'en' },
-          { url: 'https://rss.cnn.com/rss/edition.rss', name: 'CNN', lang: 'en' },
-          { url: 'https://feeds.feedburner.com/reuters/topNews', name: 'Reuters', lang: 'en' },
-          { url: 'https://www.aljazeera.com/xml/rss/all.xml', name: 'Al Jazeera', lang: 'en' }
-        ]
-      },
-      kr: {
-        api: [{ type: 'naver', params: { query: '속보 OR 긴급 OR 최신뉴스', display: 30 } }],
-        rss: [
-          { url: 'https://www.yna.co.kr/rss/news.xml', name: 'Yonhap News', lang: 'ko' },
-          { url: 'https://rss.hankyung.com/news/economy.xml', name: 'Hankyung Economy', lang: 'ko' }
-        ]
-      },
-      japan: {
-        // 일본은 요청대로 RSS만 사용
-        api: [],
-        rss: [
-          { url: 'https://www3.nhk.or.jp/rss/news/cat0.xml', name: 'NHK', lang: 'ja' },
-          { url: 'https://www.yomiuri.co.jp/rss/news.xml', name: 'Yomiuri Shimbun', lang: 'ja' }
-        ]
-      },
-      tech: {
-        api: [{ type: 'gnews', params: { category: 'technology', lang: 'en' } }],
-        rss: [
-          { url: 'https://www.theverge.com/rss/index.xml', name: 'The Verge', lang: 'en' },
-          { url: 'https://www.wired.com/feed/rss', name: 'Wired', lang: 'en' }
-        ]
-      },
-      business: {
-        api: [{ type: 'gnews', params: { category: 'business', lang: 'en' } }],
-        rss: [
-          { url: 'https://feeds.bloomberg.com/markets/news.rss', name: 'Bloomberg Markets', lang: 'en' },
-          { url: 'https://www.ft.com/rss/companies', name: 'Financial Times', lang: 'en' }
-        ]
-      },
-      buzz: {
-        api: [{ type: 'gnews', params: { category: 'entertainment', lang: 'en' } }],
-        rss: [
-          { url: 'https://feeds.bbci.co.uk/news/entertainment_and_arts/rss.xml', name: 'BBC Entertainment', lang: 'en' }
-        ]
-      }
+    // 빠른 길: Phase1 마감 내 응답한 소스로 부분 결과 → Phase2 백필
+    this.fast = {
+      phase1Ms: Number(process.env.FAST_PHASE1_DEADLINE_MS || 600),
+      phase2Ms: Number(process.env.FAST_PHASE2_DEADLINE_MS || 8000),
+      firstBatch: Number(process.env.FAST_FIRST_BATCH_SIZE || 24)
+    };
+    this.backfilling = new Set();
+
+    // 섹션 이벤트: 'articles' (새 기사 유입), 'backfill' (Phase2 완료)
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.seenIds = new Map();
+
+    // 섹션별 소스 구성 (type은 레지스트리의 어댑터 이름)
+    this.sources = opts.sources || loadSectionSources();
+  }
+
+  getSections() {
+    return Object.keys(this.sources);
+  }
+
+  isValidSection(section) {
+    return Object.prototype.hasOwnProperty.call(this.sources, section);
+  }
+
+  registerAdapter(type, adapter) {
+    this.registry.register(type, adapter);
+    return this;
+  }
+
+  async getNews(section = 'world', useCache = true) {
+    if (useCache) {
+      const cached = await this.readSectionCache(section);
+      if (cached) return { success: true, data: { ...cached, cached: true } };
+    }
+
+    const sources = this.sources[section] || this.sources.world;
+    const results = await Promise.allSettled(sources.map(source => this.collectFromSource(source)));
+    const result = await this.ingest(section, this.fulfilledItems(results));
+
+    if (useCache) await this.writeSectionCache(section, result);
+    return { success: true, data: result };
+  }
+
+  // 섹션 빠른 가져오기: Phase1 부분 결과를 즉시 반환하고 Phase2는 백그라운드에서 백필
+  async getSectionFast(section = 'world') {
+    const cached = await this.readSectionCache(section);
+    if (cached) return { success: true, data: { ...cached, cached: true } };
+
+    const sources = this.sources[section] || this.sources.world;
+    const tasks = sources.map(source => this.collectFromSource(source));
+    const phase1 = await Promise.allSettled(tasks.map(task => this.withDeadline(task, this.fast.phase1Ms)));
+    const initial = await this.ingest(section, this.fulfilledItems(phase1), { limit: this.fast.firstBatch });
+
+    if (!this.backfilling.has(section)) {
+      this.backfilling.add(section);
+      this.backfill(section, tasks, initial.articles)
+        .catch(error => logger.warn(`Backfill failed for ${section}: ${error.message}`))
+        .finally(() => this.backfilling.delete(section));
+    }
+
+    return { success: true, data: { ...initial, partial: true } };
+  }
+
+  async backfill(section, tasks, processed) {
+    const results = await Promise.allSettled(tasks.map(task => this.withDeadline(task, this.fast.phase2Ms)));
+    const result = await this.ingest(section, this.fulfilledItems(results), { processed });
+    await this.writeSectionCache(section, result);
+    this.events.emit('backfill', { section, total: result.total, timestamp: result.timestamp });
+  }
+
+  // 수집 결과 가공: 중복 제거 → 스토리 군집화 → 섹션 가중치 랭킹 → (미처리 대표 기사만) AI 처리 → 저장소 적재 → 새 기사 알림
+  async ingest(section, rawArticles, { limit = 50, processed = [] } = {}) {
+    const known = new Map(processed.map(article => [article.url, article]));
+    // 관리자 API로 바뀐 가중치 프로필은 다음 랭킹 패스부터 적용
+    const { version, weights } = await weightProfiles.getProfile(section);
+    const stories = clusterStories(this.deduplicateAndSort(rawArticles))
+      .map(story => this.buildStory(section, story));
+    const unique = rankAndSort(section, stories, { weights }).slice(0, limit);
+    const fresh = await this.processArticles(unique.filter(article => !known.has(article.url)), section);
+    fresh.forEach(article => known.set(article.url, article));
+    // 이미 처리된 기사도 이번 군집·랭킹 결과로 갱신 (백필에서 묶인 보도가 늘어날 수 있음)
+    const articles = unique.map(article => ({
+      ...known.get(article.url),
+      coverageCount: article.coverageCount,
+      relatedCoverage: article.relatedCoverage,
+      ranking: article.ranking
+    }));
+
+    // 상세 링크 조회용 기사 저장소 적재 (이미 처리된 기사도 이번 군집·랭킹으로 갱신)
+    await articleStore.saveMany(articles);
+    this.publishNewArticles(section, articles);
+
+    const sources = this.sources[section] || this.sources.world;
+    return {
+      articles,
+      total: articles.length,
+      timestamp: new Date().toISOString(),
+      cached: false,
+      sources: sources.map(s => s.name || s.type),
+      rankingProfile: { section, version, weights }
+    };
+  }
+
+  // 섹션 응답 표현: explain이면 가중치 프로필과 기사별 랭킹 근거를 포함하고, 아니면 제거
+  presentSection(data, { explain = false } = {}) {
+    const { rankingProfile, ...rest } = data;
+    if (explain) {
+      return { ...rest, explain: { profile: rankingProfile || null } };
+    }
+    return { ...rest, articles: (rest.articles || []).map(article => this.presentArticle(article)) };
+  }
+
+  // 공개 응답용 기사 표현: 내부 랭킹 근거(ranking)는 제외
+  presentArticle({ ranking, ...article }) {
+    return article;
+  }
+
+  // 스토리 대표 기사 선정: 출처 신뢰도 → 설명 길이 → 최신순
+  buildStory(section, members) {
+    const ranked = [...members].sort((a, b) =>
+      ratingService.calculateSourceReliability(b) - ratingService.calculateSourceReliability(a) ||
+      (b.description || '').length - (a.description || '').length ||
+      new Date(b.publishedAt) - new Date(a.publishedAt)
+    );
+    const [lead, ...related] = ranked;
+    return {
+      ...lead,
+      coverageCount: members.length,
+      relatedCoverage: related.map(article => ({
+        id: this.createArticleId(section, article.url),
+        title: article.title,
+        source: article.source,
+        url: article.url,
+        publishedAt: article.publishedAt,
+        language: article.language
+      }))
+    };
+  }
+
+  publishNewArticles(section, articles) {
+    const seen = this.seenIds.get(section) || new Set();
+    const added = articles.filter(article => !seen.has(article.id));
+    // 현재 목록 기준으로 다시 구성해 무한히 커지지 않도록 유지
+    this.seenIds.set(section, new Set([...(seen.size > 1000 ? [] : seen), ...articles.map(a => a.id)]));
+    if (added.length > 0) {
+      // 구독자(SSE)에는 REST 섹션 응답과 같은 공개 표현으로 보낸다
+      this.events.emit('articles', { section, articles: added.map(article => this.presentArticle(article)), timestamp: new Date().toISOString() });
+    }
+  }
+
+  async readSectionCache(section) {
+    try {
+      return await this.sectionCache.get(section);
+    } catch (error) {
+      logger.warn('Cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async writeSectionCache(section, result) {
+    if (result.articles.length === 0) return;
+    try {
+      await this.sectionCache.set(section, result, this.sectionTTLs[section] || 600);
+    } catch (error) {
+      logger.warn('Cache write failed:', error.message);
+    }
+  }
+
+  withDeadline(promise, ms) {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timeout')), ms); })
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  fulfilledItems(results) {
+    return results
+      .filter(result => result.status === 'fulfilled')
+      .flatMap(result => result.value || []);
+  }
+
+  // 기사 상세 조회: 저장소 우선, 없으면 캐시된 섹션 목록에서 탐색
+  // (없는 ID로 새 수집·AI 처리가 일어나지 않도록 캐시만 본다)
+  async getArticleById(section, articleId) {
+    const stored = await articleStore.get(articleId);
+    if (stored) {
+      return { success: true, data: stored };
+    }
+
+    const cached = await this.readSectionCache(section);
+    const article = cached ? cached.articles.find(a => a.id === articleId) : null;
+    if (article) {
+      return { success: true, data: article };
+    }
+
+    return { success: false, error: 'Article not found' };
+  }
+
+  async collectFromSource(source) {
+    return this.registry.collect(source);
+  }
+
+  // 어댑터(타입)별 쿼터/통계 + 소스별 성공률·지연·서킷 상태
+  getSourceHealth() {
+    return {
+      adapters: this.registry.health(),
+      ...this.registry.sourceStatus()
     };
   }
 
+  deduplicateAndSort(articles) {
+    return articles
+      .filter((article, index, self) => index === self.findIndex(a => a.url === article.url))
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+  }
+
+  // 섹션 접두사 + URL 해시로 만드는 안정적인 기사 ID (같은 섹션의 같은 URL은 항상 같은 ID)
+  createArticleId(section, url) {
+    const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+    return `${section}_${hash}`;
+  }
+
+  // LLM 프로바이더가 구성되어 있고 남은 한도가 충분할 때만 AI 번역/요약 사용
+  canUseAI() {
+    return aiService.isConfigured() &&
+      aiService.remainingRequests >= this.minRemainingRequests &&
+      aiService.remainingTokens >= this.minRemainingTokens;
+  }
+
+  async processArticles(articles, section) {
+    const useAI = this.canUseAI();
+
+    // 제목은 섹션 단위로 묶어 배치 번역 (모델 호출 수 절감)
+    const foreign = useAI ? articles.filter(article => article.language !== 'ko') : [];
+    const titles = new Map();
+    if (foreign.length > 0) {
+      await aiService.translateBatch(foreign.map(article => article.title))
+        .then(translated => foreign.forEach((article, i) => titles.set(article, translated[i])))
+        .catch(e => logger.warn(`Title batch translation failed: ${e.message}`));
+    }
+
+    return Promise.all(articles.map(async (article) => {
+      let titleKo = article.title;
+      let descriptionKo = article.description;
+      let summaryPoints = [];
+      let hasTranslation = false;
+
+      if (useAI) {
+        if (article.language !== 'ko') {
+          const t = titles.get(article);
+          if (t) { titleKo = t; hasTranslation = true; }
+          await aiService.translateToKorean(article.description)
+            .then(d => { if (d) descriptionKo = d; })
+            .catch(e => logger.warn(`Description translation failed: ${e.message}`));
+        }
+        summaryPoints = await aiService.generateSummaryPoints(descriptionKo || article.description)
+          .catch(e => { logger.warn(`Summary points failed: ${e.message}`); return []; });
+      }
+
+      const analysis = await ratingService.analyze(article);
+
+      return {
+        ...article,
+        id: this.createArticleId(section, article.url),
+        titleKo,
+        descriptionKo,
+        originalTextKo: descriptionKo,
+        timeAgo: this.formatTimeAgo(article.publishedAt),
+        rating: analysis.rating,
+        tags: analysis.tags,
+        importance: analysis.importance,
+        summaryPoints,
+        hasTranslation,
+        hasSummary: summaryPoints.length > 0,
+        section
+      };
+    }));
+  }
+
+  formatTimeAgo(publishedAt) {
+    const published = new Date(publishedAt);
+    if (isNaN(published.getTime())) return '날짜 정보 없음';
+    const diffMins = Math.floor((Date.now() - published.getTime()) / (1000 * 60));
+    if (diffMins < 1) return '방금 전';
+    if (diffMins < 60) return `${diffMins}분 전`;
+    const diffHours = Math.floor(diffMins / 60);
+    if (diffHours < 24) return `${diffHours}시간 전`;
+    return `${Math.floor(diffHours / 24)}일 전`;
+  }
+}
+
+module.exports = NewsService;
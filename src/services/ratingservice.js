@@ -1,199 +1,127 @@
 const logger = require('../utils/logger');
+const keywordDictionary = require('./keyworddictionary');
+const sourceReliability = require('./sourcereliability');
 
 class RatingService {
   constructor() {
-    this.urgentKeywords = [
-      'breaking', 'urgent', 'alert', 'emergency', 'crisis', 'disaster',
-      '긴급', '속보', '재난', '위기', '사고', '응급'
-    ];
-    
-    this.importantKeywords = [
-      'president', 'government', 'election', 'economy', 'market', 'policy',
-      'war', 'peace', 'treaty', 'agreement', 'summit', 'conference',
-      '대통령', '정부', '선거', '경제', '시장', '정책', '전쟁', '평화', '협정', '정상회담'
-    ];
-    
-    this.techKeywords = [
-      'ai', 'artificial intelligence', 'technology', 'innovation', 'startup',
-      'cryptocurrency', 'blockchain', 'quantum', 'robotics', 'automation',
-      '인공지능', '기술', '혁신', '스타트업', '암호화폐', '블록체인', '로봇', '자동화'
-    ];
-    
-    this.businessKeywords = [
-      'stock', 'market', 'investment', 'finance', 'economy', 'trade', 'company',
-      'earnings', 'profit', 'revenue', 'merger', 'acquisition',
-      '주식', '시장', '투자', '금융', '경제', '무역', '기업', '수익', '인수합병'
-    ];
-    
-    this.buzzKeywords = [
-      'viral', 'trending', 'celebrity', 'entertainment', 'social media',
-      'meme', 'influencer', 'youtube', 'tiktok', 'instagram',
-      '바이럴', '트렌드', '연예인', '엔터테인먼트', '소셜미디어', '인플루언서'
-    ];
+    // 평점 요인·태그 키워드는 편집자 사전(src/services/keyworddictionary.js)에서 관리
+    this.dictionary = keywordDictionary;
+    // 출처 등급·신뢰도는 출처 신뢰도 레지스트리(src/services/sourcereliability.js)에서 관리
+    this.sources = sourceReliability;
   }
 
-  async calculateRating(article) {
+  // 기사 분석: 평점/태그/중요도와 요인별 점수를 한 번에 계산
+  // now: 최신성 기준 시각(ms). 스냅샷 재생 시 수집 시각을 넘긴다.
+  async analyze(article, { now = Date.now() } = {}) {
     try {
       if (!article || !article.title) {
-        return 3; // Default rating
-      }
-
-      let score = 3; // Base score
-      const titleLower = article.title.toLowerCase();
-      const descriptionLower = (article.description || '').toLowerCase();
-      const combinedText = titleLower + ' ' + descriptionLower;
-
-      // Urgency factor (+2)
-      if (this.containsKeywords(combinedText, this.urgentKeywords)) {
-        score += 2;
-      }
-
-      // Importance factor (+1)
-      if (this.containsKeywords(combinedText, this.importantKeywords)) {
-        score += 1;
-      }
-
-      // Recency bonus (newer articles get higher scores)
-      const publishedDate = new Date(article.publishedAt);
-      const now = new Date();
-      const hoursAgo = (now - publishedDate) / (1000 * 60 * 60);
-      
-      if (hoursAgo < 1) {
-        score += 1; // Very recent
-      } else if (hoursAgo < 6) {
-        score += 0.5; // Recent
-      }
-
-      // Source reliability factor
-      const reliableSources = ['BBC', 'Reuters', 'AP News', 'CNN', '연합뉴스', 'KBS', 'MBC'];
-      if (reliableSources.some(source => 
-        (article.source || '').toLowerCase().includes(source.toLowerCase())
-      )) {
-        score += 0.5;
+        return this.defaultAnalysis();
       }
 
-      // Content quality factor
-      const descriptionLength = (article.description || '').length;
-      if (descriptionLength > 200) {
-        score += 0.3; // Detailed description
-      }
-
-      // Ensure score is within 1-5 range
-      score = Math.min(5, Math.max(1, Math.round(score * 2) / 2));
-      
-      return score;
+      await Promise.all([this.dictionary.ready, this.sources.ready]);
+      const text = this.combinedText(article);
+      const hoursAgo = this.hoursSince(article.publishedAt, now);
+      const factors = this.ratingFactors(article, text, hoursAgo);
+      const rating = this.clampRating(Object.values(factors).reduce((sum, v) => sum + v, 0));
+      const tags = this.buildTags(text, hoursAgo, rating);
+      const { importance, components } = this.importanceOf(rating, tags, this.calculateRecency(article, now));
+
+      return {
+        rating,
+        tags,
+        importance,
+        breakdown: {
+          rating: factors,
+          importance: components
+        }
+      };
 
     } catch (error) {
-      logger.warn('Rating calculation failed:', error.message);
-      return 3;
+      logger.warn('Article analysis failed:', error.message);
+      return this.defaultAnalysis();
     }
   }
 
-  async generateTags(article) {
-    try {
-      if (!article || !article.title) {
-        return ['일반'];
-      }
-
-      const tags = [];
-      const titleLower = article.title.toLowerCase();
-      const descriptionLower = (article.description || '').toLowerCase();
-      const combinedText = titleLower + ' ' + descriptionLower;
-
-      // Urgency tags
-      if (this.containsKeywords(combinedText, this.urgentKeywords)) {
-        tags.push('긴급');
-      }
-
-      // Importance tags
-      if (this.containsKeywords(combinedText, this.importantKeywords)) {
-        tags.push('중요');
-      }
-
-      // Category tags
-      if (this.containsKeywords(combinedText, this.techKeywords)) {
-        tags.push('테크');
-      }
-
-      if (this.containsKeywords(combinedText, this.businessKeywords)) {
-        tags.push('경제');
-      }
-
-      if (this.containsKeywords(combinedText, this.buzzKeywords)) {
-        tags.push('바이럴');
-      }
-
-      // Recency tags
-      const publishedDate = new Date(article.publishedAt);
-      const now = new Date();
-      const hoursAgo = (now - publishedDate) / (1000 * 60 * 60);
-      
-      if (hoursAgo < 2) {
-        tags.push('Hot');
-      }
+  defaultAnalysis() {
+    return {
+      rating: 3,
+      tags: ['일반'],
+      importance: 0,
+      breakdown: { rating: { base: 3 }, importance: {} }
+    };
+  }
 
-      // Geographic tags
-      if (this.containsKeywords(combinedText, ['korea', 'korean', '한국', '서울', 'seoul'])) {
-        tags.push('한국');
-      }
+  combinedText(article) {
+    return (article.title || '').toLowerCase() + ' ' + (article.description || '').toLowerCase();
+  }
 
-      if (this.containsKeywords(combinedText, ['japan', 'japanese', '일본', '도쿄', 'tokyo'])) {
-        tags.push('일본');
-      }
+  hoursSince(publishedAt, now = Date.now()) {
+    return (now - new Date(publishedAt).getTime()) / (1000 * 60 * 60);
+  }
 
-      if (this.containsKeywords(combinedText, ['china', 'chinese', '중국', '베이징', 'beijing'])) {
-        tags.push('중국');
-      }
+  clampRating(score) {
+    // 1-5 범위, 0.5 단위
+    return Math.min(5, Math.max(1, Math.round(score * 2) / 2));
+  }
 
-      if (this.containsKeywords(combinedText, ['usa', 'america', 'american', '미국', '워싱턴', 'washington'])) {
-        tags.push('미국');
-      }
+  // 평점 요인별 가산점 (합계가 반올림 전 평점)
+  ratingFactors(article, text, hoursAgo) {
+    let recency = 0;
+    if (hoursAgo < 1) {
+      recency = 1; // Very recent
+    } else if (hoursAgo < 6) {
+      recency = 0.5; // Recent
+    }
 
-      if (this.containsKeywords(combinedText, ['europe', 'european', '유럽', 'eu'])) {
-        tags.push('유럽');
-      }
+    return {
+      base: 3,
+      urgency: this.dictionary.matches('urgent', text) ? 2 : 0,
+      importance: this.dictionary.matches('important', text) ? 1 : 0,
+      recency,
+      source: this.sources.tierFor(article) <= 2 ? 0.5 : 0, // 레지스트리 1-2등급
+      content: (article.description || '').length > 200 ? 0.3 : 0 // Detailed description
+    };
+  }
 
-      // Special event tags
-      if (this.containsKeywords(combinedText, ['election', 'vote', '선거', '투표'])) {
-        tags.push('선거');
-      }
+  // 사전 태그: 분류(category) → Hot → 주제(topic) → 주목 순
+  buildTags(text, hoursAgo, rating) {
+    const { category, topic } = this.dictionary.tagsFor(text);
+    const tags = [...category];
 
-      if (this.containsKeywords(combinedText, ['climate', 'environment', '기후', '환경'])) {
-        tags.push('환경');
-      }
+    // Recency tags
+    if (hoursAgo < 2) tags.push('Hot');
 
-      if (this.containsKeywords(combinedText, ['covid', 'pandemic', 'virus', '코로나', '바이러스'])) {
-        tags.push('보건');
-      }
+    tags.push(...topic);
 
-      if (this.containsKeywords(combinedText, ['sports', 'olympic', '스포츠', '올림픽'])) {
-        tags.push('스포츠');
-      }
+    // Rating-based tags
+    if (rating >= 4.5) tags.push('주목');
 
-      // Rating-based tags
-      const rating = await this.calculateRating(article);
-      if (rating >= 4.5) {
-        tags.push('주목');
-      }
+    // Default tag if no specific tags found
+    if (tags.length === 0) tags.push('일반');
 
-      // Default tag if no specific tags found
-      if (tags.length === 0) {
-        tags.push('일반');
-      }
+    // Remove duplicates and limit to 4 tags
+    return [...new Set(tags)].slice(0, 4);
+  }
 
-      // Remove duplicates and limit to 4 tags
-      return [...new Set(tags)].slice(0, 4);
+  // 중요도 (0-10): 평점 40% + 태그 가산 + 최신성
+  importanceOf(rating, tags, recency) {
+    const components = {
+      rating: rating * 0.4,
+      urgent: tags.includes('긴급') ? 2 : 0,
+      important: tags.includes('중요') ? 1.5 : 0,
+      hot: tags.includes('Hot') ? 1 : 0,
+      recency: recency * 1.5
+    };
+    const total = Object.values(components).reduce((sum, v) => sum + v, 0);
+    return { importance: Math.min(10, total), components };
+  }
 
-    } catch (error) {
-      logger.warn('Tag generation failed:', error.message);
-      return ['일반'];
-    }
+  async calculateRating(article) {
+    return (await this.analyze(article)).rating;
   }
 
-  containsKeywords(text, keywords) {
-    return keywords.some(keyword => 
-      text.includes(keyword.toLowerCase())
-    );
+  async generateTags(article) {
+    return (await this.analyze(article)).tags;
   }
 
   // Advanced rating calculation based on multiple factors
@@ -276,50 +204,20 @@ class RatingService {
     
     let score = 0.3; // Base score
 
-    // High urgency keywords
-    const highUrgencyWords = ['breaking', 'urgent', 'alert', '긴급', '속보'];
-    if (this.containsKeywords(text, highUrgencyWords)) {
-      score += 0.5;
-    }
-
-    // Medium urgency keywords
-    const mediumUrgencyWords = ['update', 'develops', 'latest', '최신', '업데이트'];
-    if (this.containsKeywords(text, mediumUrgencyWords)) {
-      score += 0.3;
-    }
+    if (this.dictionary.matches('urgent', text)) score += 0.5; // High urgency
+    if (this.dictionary.matches('developing', text)) score += 0.3; // Developing story
 
     return Math.min(1, score);
   }
 
+  // 출처 신뢰도 (0-1): 출처 신뢰도 레지스트리 등급
   calculateSourceReliability(article) {
-    const source = (article.source || '').toLowerCase();
-    
-    // Tier 1 sources (most reliable)
-    const tier1Sources = ['bbc', 'reuters', 'ap news', 'associated press', '연합뉴스'];
-    if (tier1Sources.some(s => source.includes(s))) {
-      return 1.0;
-    }
-
-    // Tier 2 sources (highly reliable)
-    const tier2Sources = ['cnn', 'kbs', 'mbc', 'sbs', 'bloomberg', 'financial times'];
-    if (tier2Sources.some(s => source.includes(s))) {
-      return 0.8;
-    }
-
-    // Tier 3 sources (reliable)
-    const tier3Sources = ['techcrunch', 'wired', 'forbes', 'wall street journal'];
-    if (tier3Sources.some(s => source.includes(s))) {
-      return 0.6;
-    }
-
-    return 0.4; // Default for unknown sources
+    return this.sources.trustFor(article);
   }
 
-  calculateRecency(article) {
+  calculateRecency(article, now = Date.now()) {
     try {
-      const publishedDate = new Date(article.publishedAt);
-      const now = new Date();
-      const hoursAgo = (now - publishedDate) / (1000 * 60 * 60);
+      const hoursAgo = this.hoursSince(article.publishedAt, now);
 
       if (hoursAgo < 1) return 1.0;      // Very fresh
       if (hoursAgo < 6) return 0.8;      // Fresh
@@ -337,33 +235,21 @@ class RatingService {
     
     let score = 0.3; // Base score
 
-    // High engagement topics
-    const highEngagementWords = [
-      'scandal', 'controversy', 'viral', 'shocking', 'amazing',
-      '논란', '충격', '놀라운', '화제', '스캔들'
-    ];
-    if (this.containsKeywords(text, highEngagementWords)) {
-      score += 0.4;
-    }
-
-    // Popular topics
-    const popularWords = [
-      'celebrity', 'sports', 'technology', 'election', 'economy',
-      '연예인', '스포츠', '기술', '선거', '경제'
-    ];
-    if (this.containsKeywords(text, popularWords)) {
-      score += 0.3;
-    }
+    if (this.dictionary.matches('engaging', text)) score += 0.4; // High engagement topics
+    if (this.dictionary.matches('popular', text)) score += 0.3; // Popular topics
 
     return Math.min(1, score);
   }
 
   // Get trending topics based on recent articles
-  getTrendingTopics(articles) {
+  // 이미 분석된 기사(tags 보유)는 재분석하지 않는다
+  async getTrendingTopics(articles) {
     const topicCount = new Map();
-    
-    articles.forEach(article => {
-      const tags = this.generateTags(article);
+
+    const tagLists = await Promise.all(articles.map(async article =>
+      Array.isArray(article.tags) ? article.tags : (await this.analyze(article)).tags
+    ));
+    tagLists.forEach(tags => {
       tags.forEach(tag => {
         topicCount.set(tag, (topicCount.get(tag) || 0) + 1);
       });
@@ -377,22 +263,8 @@ class RatingService {
   }
 
   // Get importance score for article prioritization
-  getImportanceScore(article) {
-    const rating = this.calculateRating(article);
-    const tags = this.generateTags(article);
-    const recency = this.calculateRecency(article);
-    
-    let importance = rating * 0.4; // Rating weight: 40%
-    
-    // Tag-based importance
-    if (tags.includes('긴급')) importance += 2;
-    if (tags.includes('중요')) importance += 1.5;
-    if (tags.includes('Hot')) importance += 1;
-    
-    // Recency weight: 30%
-    importance += recency * 1.5;
-    
-    return Math.min(10, importance);
+  async getImportanceScore(article) {
+    return (await this.analyze(article)).importance;
   }
 
   // Batch process articles for performance
@@ -402,12 +274,10 @@ class RatingService {
     for (let i = 0; i < articles.length; i += 10) {
       const batch = articles.slice(i, i + 10);
       
-      const batchPromises = batch.map(async (article) => ({
-        ...article,
-        rating: await this.calculateRating(article),
-        tags: await this.generateTags(article),
-        importance: this.getImportanceScore(article)
-      }));
+      const batchPromises = batch.map(async (article) => {
+        const { rating, tags, importance, breakdown } = await this.analyze(article);
+        return { ...article, rating, tags, importance, ratingBreakdown: breakdown };
+      });
       
       const batchResults = await Promise.all(batchPromises);
       processed.push(...batchResults);
@@ -423,13 +293,8 @@ class RatingService {
 
   getStatus() {
     return {
-      urgentKeywordsCount: this.urgentKeywords.length,
-      importantKeywordsCount: this.importantKeywords.length,
-      totalKeywords: this.urgentKeywords.length + 
-                     this.importantKeywords.length + 
-                     this.techKeywords.length + 
-                     this.businessKeywords.length + 
-                     this.buzzKeywords.length
+      dictionary: this.dictionary.getStatus(),
+      sources: this.sources.getStatus()
     };
   }
 }
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { PersistentStore } = require('../utils/persistentstore');
+
+// 출처 신뢰도 레지스트리: 도메인별 표시 이름, 등급(tier), 언어, 국가, 성향/메모.
+// 평점(RatingService), 스토리 대표 선정, 섹션 랭킹이 모두 여기서 신뢰도를 읽는다.
+// 초기값은 src/config/sourcereliability.json (SOURCE_RELIABILITY_FILE로 변경 가능)이고,
+// 관리자 API로 수정하면 버전이 올라간 레지스트리 전체가 저장소에 보관되어 이후에는 저장본이 우선한다.
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '../config/sourcereliability.json');
+const FIELDS = ['name', 'aliases', 'tier', 'language', 'country', 'bias', 'notes'];
+
+const normalizeDomain = (value) => String(value || '').trim().toLowerCase().replace(/^www\./, '');
+
+const domainFromUrl = (url) => {
+  try {
+    return normalizeDomain(new URL(url).hostname);
+  } catch {
+    return null;
+  }
+};
+
+class SourceReliabilityRegistry {
+  constructor() {
+    this.file = process.env.SOURCE_RELIABILITY_FILE || DEFAULT_REGISTRY_PATH;
+    this.store = new PersistentStore('source-reliability');
+    this.data = this.loadFile();
+    this.ready = this.load();
+  }
+
+  loadFile() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      logger.error(`Source reliability file load failed: ${error.message}`);
+      return { version: 0, tiers: { 4: 0.4 }, defaultTier: 4, sources: {} };
+    }
+  }
+
+  async load() {
+    const stored = await this.store.load(null);
+    if (stored && stored.sources) {
+      this.data = stored;
+      logger.info(`Loaded source reliability registry v${stored.version}`);
+    }
+  }
+
+  // 기사 → 레지스트리 항목: URL 도메인(상위 도메인 포함) 우선,
+  // 없으면 출처 이름 일치 또는 별칭 부분 일치 ("BBC News - World" → bbc)
+  lookup(article = {}) {
+    const domain = normalizeDomain(article.domain) || domainFromUrl(article.url);
+    if (domain) {
+      const labels = domain.split('.');
+      for (let i = 0; i < labels.length - 1; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (this.data.sources[candidate]) {
+          return { domain: candidate, entry: this.data.sources[candidate], matchedBy: 'domain' };
+        }
+      }
+    }
+
+    const name = (article.source || '').toLowerCase();
+    if (name) {
+      const match = Object.entries(this.data.sources).find(([, entry]) =>
+        entry.name.toLowerCase() === name || (entry.aliases || []).some(alias => name.includes(alias.toLowerCase()))
+      );
+      if (match) return { domain: match[0], entry: match[1], matchedBy: 'name' };
+    }
+
+    return { domain: domain || null, entry: null, matchedBy: null };
+  }
+
+  tierFor(article) {
+    return this.lookup(article).entry?.tier ?? this.data.defaultTier;
+  }
+
+  // 신뢰도 (0-1): 등급별 값
+  trustFor(article) {
+    const tier = this.tierFor(article);
+    return this.data.tiers[tier] ?? this.data.tiers[this.data.defaultTier] ?? 0.4;
+  }
+
+  list() {
+    return {
+      version: this.data.version,
+      updatedAt: this.data.updatedAt || null,
+      tiers: this.data.tiers,
+      defaultTier: this.data.defaultTier,
+      sources: this.data.sources
+    };
+  }
+
+  get(domain) {
+    return this.data.sources[normalizeDomain(domain)] || null;
+  }
+
+  validate(domain, entry) {
+    const errors = [];
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) errors.push('domain must be a hostname like "example.com"');
+    Object.keys(entry).forEach(key => {
+      if (!FIELDS.includes(key)) errors.push(`unknown field "${key}"`);
+    });
+    if (typeof entry.name !== 'string' || !entry.name.trim()) errors.push('name is required');
+    if (!Object.prototype.hasOwnProperty.call(this.data.tiers, String(entry.tier))) {
+      errors.push(`tier must be one of ${Object.keys(this.data.tiers).join(', ')}`);
+    }
+    if (entry.aliases !== undefined && (!Array.isArray(entry.aliases) || entry.aliases.some(a => typeof a !== 'string'))) {
+      errors.push('aliases must be an array of strings');
+    }
+    if (entry.language != null && !/^[a-z]{2}$/.test(entry.language)) errors.push('language must be a 2-letter code or null');
+    if (entry.country != null && !/^[A-Z]{2}$/.test(entry.country)) errors.push('country must be a 2-letter ISO code or null');
+    return errors;
+  }
+
+  // 항목 생성/수정 (기존 항목이면 보낸 필드만 덮어씀)
+  async upsert(domain, fields = {}) {
+    await this.ready;
+    const key = normalizeDomain(domain);
+    const entry = {
+      aliases: [],
+      language: null,
+      country: null,
+      bias: null,
+      notes: '',
+      ...(this.data.sources[key] || {}),
+      ...fields
+    };
+    if (entry.tier !== undefined) entry.tier = Number(entry.tier);
+
+    const errors = this.validate(key, entry);
+    if (errors.length > 0) return { success: false, error: 'Invalid source entry', details: errors };
+
+    return this.commit(`upsert ${key}`, sources => { sources[key] = entry; }, key);
+  }
+
+  async remove(domain) {
+    await this.ready;
+    const key = normalizeDomain(domain);
+    if (!this.data.sources[key]) return { success: false, error: 'Source not found', notFound: true };
+    return this.commit(`delete ${key}`, sources => { delete sources[key]; }, key);
+  }
+
+  async commit(change, mutate, domain) {
+    const sources = { ...this.data.sources };
+    mutate(sources);
+    this.data = {
+      ...this.data,
+      version: (this.data.version || 0) + 1,
+      updatedAt: new Date().toISOString(),
+      change,
+      sources
+    };
+    await this.store.save(this.data);
+    logger.info(`Source reliability registry updated to v${this.data.version} (${change})`);
+    return { success: true, data: { version: this.data.version, domain, source: sources[domain] || null } };
+  }
+
+  getStatus() {
+    return {
+      version: this.data.version,
+      sources: Object.keys(this.data.sources).length,
+      store: this.store.describe()
+    };
+  }
+}
+
+module.exports = new SourceReliabilityRegistry();
@@ -0,0 +1,43 @@
+const axios = require('axios');
+const SourceAdapter = require('./sourceadapter');
+
+const GNEWS_API_KEY = process.env.GNEWS_API_KEY || '';
+
+class GNewsAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    // 무료 플랜 기준 일 100회
+    super('gnews', { dailyLimit: Number(process.env.GNEWS_DAILY_LIMIT || 100), ...options });
+    this.api = axios.create({
+      baseURL: 'https://gnews.io/api/v4/',
+      timeout: options.timeout || 8000
+    });
+  }
+
+  isConfigured() {
+    return Boolean(GNEWS_API_KEY);
+  }
+
+  async fetch(source) {
+    const response = await this.api.get('top-headlines', {
+      params: { ...source.params, max: 50, apikey: GNEWS_API_KEY }
+    });
+    return response.data.articles || [];
+  }
+
+  normalize(item, source) {
+    const description = item.description || item.content || '';
+    return {
+      title: item.title,
+      description,
+      content: description,
+      url: item.url,
+      urlToImage: item.image || null,
+      source: item.source?.name || 'GNews',
+      publishedAt: item.publishedAt || new Date().toISOString(),
+      apiSource: 'GNews',
+      language: source.params?.lang || 'en'
+    };
+  }
+}
+
+module.exports = GNewsAdapter;
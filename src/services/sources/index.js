@@ -0,0 +1,76 @@
+const logger = require('../../utils/logger');
+const SourceAdapter = require('./sourceadapter');
+const SourceHealthTracker = require('./sourcehealth');
+const RSSAdapter = require('./rssadapter');
+const GNewsAdapter = require('./gnewsadapter');
+const NaverAdapter = require('./naveradapter');
+const RedditAdapter = require('./redditadapter');
+const XAdapter = require('./xadapter');
+const YouTubeAdapter = require('./youtubeadapter');
+
+// 소스 타입 → 어댑터 인스턴스 레지스트리 (+ 소스별 상태/서킷 브레이커)
+class SourceRegistry {
+  /**
+   * @param {Object} opts.breaker - 서킷 브레이커 설정 { threshold, cooldownMs } (기본: 환경변수)
+   */
+  constructor(opts = {}) {
+    this.adapters = new Map();
+    this.sourceHealth = new SourceHealthTracker(opts.breaker);
+  }
+
+  register(type, adapter) {
+    if (!(adapter instanceof SourceAdapter)) {
+      throw new Error(`Adapter for "${type}" must extend SourceAdapter`);
+    }
+    this.adapters.set(type, adapter);
+    return this;
+  }
+
+  get(type) {
+    return this.adapters.get(type) || null;
+  }
+
+  has(type) {
+    return this.adapters.has(type);
+  }
+
+  types() {
+    return [...this.adapters.keys()];
+  }
+
+  // 소스 1개 수집: 서킷이 열려 있거나 실패하면 마지막 성공 결과를 돌려준다 (던지지 않음)
+  async collect(source) {
+    const adapter = this.get(source.type);
+    if (!adapter) {
+      logger.warn(`No source adapter registered for type "${source.type}"`);
+      return [];
+    }
+    if (!adapter.isConfigured()) return [];
+    return this.sourceHealth.run(source, () => adapter.collect(source));
+  }
+
+  health() {
+    return [...this.adapters.values()].map(adapter => adapter.health());
+  }
+
+  sourceStatus() {
+    return this.sourceHealth.report();
+  }
+}
+
+function createDefaultRegistry() {
+  return new SourceRegistry()
+    .register('rss', new RSSAdapter())
+    .register('gnews', new GNewsAdapter())
+    .register('naver', new NaverAdapter())
+    .register('reddit', new RedditAdapter())
+    .register('x', new XAdapter())
+    .register('youtube', new YouTubeAdapter());
+}
+
+module.exports = {
+  SourceAdapter,
+  SourceRegistry,
+  SourceHealthTracker,
+  createDefaultRegistry
+};
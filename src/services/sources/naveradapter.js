@@ -0,0 +1,49 @@
+const axios = require('axios');
+const SourceAdapter = require('./sourceadapter');
+
+const NAVER_CLIENT_ID = process.env.NAVER_CLIENT_ID || '';
+const NAVER_CLIENT_SECRET = process.env.NAVER_CLIENT_SECRET || '';
+
+class NaverAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    // 검색 API 일 25,000회
+    super('naver', { dailyLimit: Number(process.env.NAVER_DAILY_LIMIT || 25000), ...options });
+    this.api = axios.create({
+      baseURL: 'https://openapi.naver.com/v1/search/',
+      headers: {
+        'X-Naver-Client-Id': NAVER_CLIENT_ID,
+        'X-Naver-Client-Secret': NAVER_CLIENT_SECRET
+      },
+      timeout: options.timeout || 8000
+    });
+  }
+
+  isConfigured() {
+    return Boolean(NAVER_CLIENT_ID && NAVER_CLIENT_SECRET);
+  }
+
+  async fetch(source) {
+    const { query, display = 30 } = source.params || {};
+    const response = await this.api.get('news.json', {
+      params: { query, display: Math.min(display, 100), sort: 'date' }
+    });
+    return response.data.items || [];
+  }
+
+  normalize(item) {
+    const description = this.stripHtml(item.description);
+    return {
+      title: this.stripHtml(item.title),
+      description,
+      content: description,
+      url: item.originallink || item.link,
+      urlToImage: null,
+      source: 'Naver News',
+      publishedAt: item.pubDate ? new Date(item.pubDate).toISOString() : new Date().toISOString(),
+      apiSource: 'NaverAPI',
+      language: 'ko'
+    };
+  }
+}
+
+module.exports = NaverAdapter;
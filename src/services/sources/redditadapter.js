@@ -0,0 +1,46 @@
+const axios = require('axios');
+const SourceAdapter = require('./sourceadapter');
+
+const REDDIT_TOKEN = process.env.REDDIT_TOKEN || '';
+
+class RedditAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    super('reddit', { dailyLimit: Number(process.env.REDDIT_DAILY_LIMIT || 10000), ...options });
+    this.api = axios.create({
+      baseURL: 'https://oauth.reddit.com',
+      timeout: options.timeout || 5000,
+      headers: {
+        Authorization: `Bearer ${REDDIT_TOKEN}`,
+        'User-Agent': process.env.REDDIT_USER_AGENT || 'emark-buzz/1.0'
+      }
+    });
+  }
+
+  isConfigured() {
+    return Boolean(REDDIT_TOKEN);
+  }
+
+  async fetch(source) {
+    const { path = '/r/all/new', limit = 100 } = source.params || {};
+    const { data } = await this.api.get(path, { params: { limit: Math.min(limit, 100) } });
+    return (data?.data?.children || []).map(post => post.data || {});
+  }
+
+  normalize(post, source) {
+    return {
+      title: post.title,
+      description: post.selftext ? post.selftext.slice(0, 500) : '',
+      content: post.selftext || '',
+      url: `https://reddit.com${post.permalink}`,
+      urlToImage: post.thumbnail && post.thumbnail.startsWith('http') ? post.thumbnail : null,
+      source: source.name || `Reddit r/${post.subreddit}`,
+      publishedAt: new Date((post.created_utc || 0) * 1000).toISOString(),
+      apiSource: 'Reddit',
+      language: source.lang || 'en',
+      reactions: (post.ups || 0) + (post.num_comments || 0),
+      followers: post.subreddit_subscribers || 0
+    };
+  }
+}
+
+module.exports = RedditAdapter;
@@ -0,0 +1,34 @@
+const Parser = require('rss-parser');
+const SourceAdapter = require('./sourceadapter');
+
+class RSSAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    super('rss', options);
+    this.parser = new Parser({
+      timeout: options.timeout || 5000,
+      headers: { 'User-Agent': 'EmarkNews/2.0 (Advanced News Aggregator)' }
+    });
+  }
+
+  async fetch(source) {
+    const feed = await this.parser.parseURL(source.url);
+    return (feed.items || []).slice(0, source.limit || 15);
+  }
+
+  normalize(item, source) {
+    const description = item.contentSnippet || item.content || '';
+    return {
+      title: item.title,
+      description,
+      content: description,
+      url: item.link,
+      urlToImage: item.enclosure?.url || null,
+      source: source.name || 'RSS Feed',
+      publishedAt: item.isoDate || item.pubDate || new Date().toISOString(),
+      apiSource: 'RSS',
+      language: source.lang || 'en'
+    };
+  }
+}
+
+module.exports = RSSAdapter;
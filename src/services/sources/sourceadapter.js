@@ -0,0 +1,113 @@
+const logger = require('../../utils/logger');
+
+// 소스 어댑터 공통 인터페이스
+// 하위 클래스는 fetch(source)와 normalize(item, source)를 구현한다.
+// collect()가 호출 전 쿼터 확인, 정규화, 상태(health) 기록을 담당하고,
+// 실패(쿼터 소진 포함)는 그대로 던져 SourceRegistry가 소스별 상태·서킷 브레이커에 반영하게 한다.
+class SourceAdapter {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.dailyLimit = options.dailyLimit ?? Infinity;
+    this.quota = { used: 0, day: this.today() };
+    this.stats = {
+      requests: 0,
+      failures: 0,
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: null
+    };
+  }
+
+  // 자격 증명 등 필요한 설정이 갖춰졌는지 여부
+  isConfigured() {
+    return true;
+  }
+
+  // 호출 1회당 소모 쿼터 단위
+  cost() {
+    return 1;
+  }
+
+  async fetch() {
+    throw new Error(`${this.type} adapter does not implement fetch()`);
+  }
+
+  normalize() {
+    throw new Error(`${this.type} adapter does not implement normalize()`);
+  }
+
+  async collect(source) {
+    if (!this.isConfigured()) return [];
+    if (!this.hasQuota(source)) {
+      logger.warn(`${this.type} daily quota exhausted, skipping ${source.name || this.type}`);
+      const error = new Error(`${this.type} daily quota exhausted`);
+      error.code = 'QUOTA_EXHAUSTED';
+      throw error;
+    }
+
+    this.consumeQuota(source);
+    this.stats.requests++;
+    try {
+      const items = await this.fetch(source);
+      this.stats.lastSuccessAt = new Date().toISOString();
+      return (items || [])
+        .map(item => this.normalize(item, source))
+        .filter(article => article && article.title && article.url);
+    } catch (error) {
+      this.stats.failures++;
+      this.stats.lastErrorAt = new Date().toISOString();
+      this.stats.lastError = error.message;
+      logger.warn(`${this.type} fetch failed from ${source.name || this.type}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  resetQuotaIfNewDay() {
+    const day = this.today();
+    if (this.quota.day !== day) {
+      this.quota = { used: 0, day };
+    }
+  }
+
+  hasQuota(source) {
+    this.resetQuotaIfNewDay();
+    return this.quota.used + this.cost(source) <= this.dailyLimit;
+  }
+
+  consumeQuota(source) {
+    this.resetQuotaIfNewDay();
+    this.quota.used += this.cost(source);
+  }
+
+  quotaStatus() {
+    this.resetQuotaIfNewDay();
+    return {
+      day: this.quota.day,
+      used: this.quota.used,
+      limit: Number.isFinite(this.dailyLimit) ? this.dailyLimit : null,
+      remaining: Number.isFinite(this.dailyLimit) ? Math.max(0, this.dailyLimit - this.quota.used) : null
+    };
+  }
+
+  health() {
+    const { requests, failures } = this.stats;
+    return {
+      type: this.type,
+      configured: this.isConfigured(),
+      ...this.stats,
+      successRate: requests > 0 ? (requests - failures) / requests : null,
+      quota: this.quotaStatus()
+    };
+  }
+
+  stripHtml(html) {
+    if (!html) return '';
+    return html.replace(/<[^>]*>?/gm, '').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = SourceAdapter;
@@ -0,0 +1,159 @@
+const logger = require('../../utils/logger');
+
+// 소스(피드/API 호출 단위)별 상태와 서킷 브레이커
+// - 연속 실패가 threshold에 도달하면 서킷을 열고 cooldownMs 동안 호출을 건너뛴다.
+// - 쿨다운이 지나면 한 번만 시험 호출(half-open): 성공하면 닫고, 실패하면 다시 연다.
+// - 실패하거나 서킷이 열린 동안에는 마지막으로 성공한 수집 결과(last good)를 대신 돌려준다.
+const LATENCY_ALPHA = 0.2; // 지연 시간 지수 이동 평균 계수
+
+class SourceHealthTracker {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? Number(process.env.SOURCE_BREAKER_THRESHOLD || 3);
+    this.cooldownMs = options.cooldownMs ?? Number(process.env.SOURCE_BREAKER_COOLDOWN_MS || 5 * 60 * 1000);
+    this.entries = new Map();
+  }
+
+  keyOf(source) {
+    return `${source.type}:${source.name || source.url || JSON.stringify(source.params || {})}`;
+  }
+
+  entry(source) {
+    const key = this.keyOf(source);
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        key,
+        type: source.type,
+        name: source.name || null,
+        requests: 0,
+        failures: 0,
+        skipped: 0,
+        consecutiveFailures: 0,
+        latency: { lastMs: null, avgMs: null },
+        lastSuccessAt: null,
+        lastErrorAt: null,
+        lastError: null,
+        circuit: { state: 'closed', openedAt: null, retryAt: null, trialInFlight: false },
+        lastGood: null // { items, at }
+      });
+    }
+    return this.entries.get(key);
+  }
+
+  // 서킷 상태에 따라 이번 호출을 허용할지 결정 (쿨다운이 끝났으면 시험 호출 1회 허용)
+  allowRequest(entry, now = Date.now()) {
+    const { circuit } = entry;
+    if (circuit.state === 'closed') return true;
+    if (circuit.state === 'open' && now >= circuit.retryAt) {
+      circuit.state = 'half-open';
+    }
+    if (circuit.state === 'half-open' && !circuit.trialInFlight) {
+      circuit.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 서킷 브레이커를 거쳐 수집을 실행한다. 던지지 않는다.
+   * @param {Object} source - 소스 구성
+   * @param {Function} task - 수집 함수 (실패 시 throw)
+   * @returns {Promise<Array>} 수집 결과, 실패/차단 시 마지막 성공 결과 (없으면 [])
+   */
+  async run(source, task) {
+    const entry = this.entry(source);
+    if (!this.allowRequest(entry)) {
+      entry.skipped++;
+      return this.lastGoodItems(entry);
+    }
+
+    const started = Date.now();
+    try {
+      const items = await task();
+      this.recordSuccess(entry, items, Date.now() - started);
+      return items;
+    } catch (error) {
+      if (error.code === 'QUOTA_EXHAUSTED') {
+        // 쿼터 소진은 소스 장애가 아니므로 서킷에 반영하지 않는다
+        entry.circuit.trialInFlight = false;
+        entry.skipped++;
+      } else {
+        this.recordFailure(entry, error, Date.now() - started);
+      }
+      return this.lastGoodItems(entry);
+    }
+  }
+
+  recordSuccess(entry, items, latencyMs) {
+    entry.requests++;
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = new Date().toISOString();
+    this.recordLatency(entry, latencyMs);
+    if (items.length > 0) {
+      entry.lastGood = { items, at: entry.lastSuccessAt };
+    }
+    if (entry.circuit.state !== 'closed') {
+      logger.info(`Source circuit closed: ${entry.key}`);
+    }
+    entry.circuit = { state: 'closed', openedAt: null, retryAt: null, trialInFlight: false };
+  }
+
+  recordFailure(entry, error, latencyMs) {
+    entry.requests++;
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastErrorAt = new Date().toISOString();
+    entry.lastError = error.message;
+    this.recordLatency(entry, latencyMs);
+
+    if (entry.circuit.state === 'half-open' || entry.consecutiveFailures >= this.threshold) {
+      const now = Date.now();
+      entry.circuit = {
+        state: 'open',
+        openedAt: new Date(now).toISOString(),
+        retryAt: now + this.cooldownMs,
+        trialInFlight: false
+      };
+      logger.warn(`Source circuit opened: ${entry.key} (${entry.consecutiveFailures} consecutive failures, retry in ${Math.round(this.cooldownMs / 1000)}s)`);
+    }
+  }
+
+  recordLatency(entry, latencyMs) {
+    entry.latency.lastMs = latencyMs;
+    entry.latency.avgMs = entry.latency.avgMs === null
+      ? latencyMs
+      : Math.round(LATENCY_ALPHA * latencyMs + (1 - LATENCY_ALPHA) * entry.latency.avgMs);
+  }
+
+  lastGoodItems(entry) {
+    return entry.lastGood ? entry.lastGood.items : [];
+  }
+
+  // 소스별 상태 보고 (마지막 성공 결과는 건수와 시각만)
+  report() {
+    const sources = [...this.entries.values()].map(({ lastGood, circuit, ...entry }) => ({
+      ...entry,
+      successRate: entry.requests > 0 ? (entry.requests - entry.failures) / entry.requests : null,
+      circuit: {
+        state: circuit.state,
+        openedAt: circuit.openedAt,
+        retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null
+      },
+      servingLastGood: Boolean(lastGood) && (circuit.state !== 'closed' || entry.consecutiveFailures > 0),
+      lastGood: lastGood ? { count: lastGood.items.length, at: lastGood.at } : null
+    }));
+
+    return {
+      summary: {
+        total: sources.length,
+        open: sources.filter(s => s.circuit.state === 'open').length,
+        halfOpen: sources.filter(s => s.circuit.state === 'half-open').length,
+        failing: sources.filter(s => s.consecutiveFailures > 0).length,
+        threshold: this.threshold,
+        cooldownMs: this.cooldownMs
+      },
+      sources
+    };
+  }
+}
+
+module.exports = SourceHealthTracker;
@@ -0,0 +1,59 @@
+const axios = require('axios');
+const SourceAdapter = require('./sourceadapter');
+
+const X_BEARER_TOKEN = process.env.X_BEARER_TOKEN || '';
+
+class XAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    // Basic 플랜 recent search 한도를 일 단위로 환산
+    super('x', { dailyLimit: Number(process.env.X_DAILY_LIMIT || 300), ...options });
+    this.api = axios.create({
+      baseURL: 'https://api.twitter.com/2',
+      timeout: options.timeout || 5000,
+      headers: { Authorization: `Bearer ${X_BEARER_TOKEN}` }
+    });
+  }
+
+  isConfigured() {
+    return Boolean(X_BEARER_TOKEN);
+  }
+
+  async fetch(source) {
+    const { query, max_results = 50 } = source.params || {};
+    const { data } = await this.api.get('/tweets/search/recent', {
+      params: {
+        query,
+        max_results: Math.min(max_results, 100),
+        'tweet.fields': 'created_at,public_metrics,lang',
+        expansions: 'author_id',
+        'user.fields': 'username,public_metrics'
+      }
+    });
+    const users = (data?.includes?.users || []).reduce((map, user) => {
+      map[user.id] = user;
+      return map;
+    }, {});
+    return (data?.data || []).map(tweet => ({ ...tweet, author: users[tweet.author_id] || {} }));
+  }
+
+  normalize(tweet, source) {
+    const metrics = tweet.public_metrics || {};
+    const text = (tweet.text || '').replace(/\n+/g, ' ');
+    return {
+      title: text.slice(0, 220),
+      description: text,
+      content: text,
+      url: `https://x.com/i/web/status/${tweet.id}`,
+      urlToImage: null,
+      source: tweet.author.username ? `X (@${tweet.author.username})` : (source.name || 'X'),
+      publishedAt: tweet.created_at || new Date().toISOString(),
+      apiSource: 'X',
+      language: (tweet.lang || source.lang || 'und').slice(0, 2),
+      reactions: (metrics.like_count || 0) + (metrics.retweet_count || 0) +
+        (metrics.reply_count || 0) + (metrics.quote_count || 0),
+      followers: tweet.author.public_metrics?.followers_count || 0
+    };
+  }
+}
+
+module.exports = XAdapter;
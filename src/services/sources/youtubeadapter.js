@@ -0,0 +1,58 @@
+const axios = require('axios');
+const SourceAdapter = require('./sourceadapter');
+
+const YOUTUBE_API_KEY = process.env.YOUTUBE_API_KEY || '';
+
+class YouTubeAdapter extends SourceAdapter {
+  constructor(options = {}) {
+    // Data API 일 10,000 유닛 (videos.list = 1 유닛)
+    super('youtube', { dailyLimit: Number(process.env.YOUTUBE_DAILY_LIMIT || 10000), ...options });
+    this.api = axios.create({
+      baseURL: 'https://www.googleapis.com/youtube/v3',
+      timeout: options.timeout || 5000
+    });
+  }
+
+  isConfigured() {
+    return Boolean(YOUTUBE_API_KEY);
+  }
+
+  async fetch(source) {
+    const { regionCode = 'US', maxResults = 30, channels } = source.params || {};
+    const { data } = await this.api.get('/videos', {
+      params: {
+        part: 'snippet,statistics',
+        chart: 'mostPopular',
+        regionCode,
+        maxResults: Math.min(maxResults, 50),
+        key: YOUTUBE_API_KEY
+      }
+    });
+    const items = data?.items || [];
+    // channels가 지정되면 화이트리스트 채널만 사용
+    return Array.isArray(channels) && channels.length > 0
+      ? items.filter(video => channels.includes(video.snippet?.channelId))
+      : items;
+  }
+
+  normalize(video, source) {
+    const snippet = video.snippet || {};
+    const stats = video.statistics || {};
+    const description = (snippet.description || '').slice(0, 500);
+    return {
+      title: snippet.title,
+      description,
+      content: description,
+      url: `https://youtube.com/watch?v=${video.id}`,
+      urlToImage: snippet.thumbnails?.medium?.url || snippet.thumbnails?.default?.url || null,
+      source: snippet.channelTitle || source.name || 'YouTube',
+      publishedAt: snippet.publishedAt || new Date().toISOString(),
+      apiSource: 'YouTube',
+      language: (snippet.defaultAudioLanguage || snippet.defaultLanguage || source.lang || 'und').slice(0, 2),
+      reactions: (+stats.viewCount || 0) + (+stats.likeCount || 0) + (+stats.commentCount || 0),
+      followers: 0
+    };
+  }
+}
+
+module.exports = YouTubeAdapter;
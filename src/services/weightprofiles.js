@@ -0,0 +1,138 @@
+const logger = require('../utils/logger');
+const { PersistentStore } = require('../utils/persistentstore');
+const { SECTION_WEIGHTS, WEIGHT_KEYS, getSectionWeights } = require('../utils/ranking');
+
+// 섹션 랭킹 가중치 프로필: 관리자 API로 수정하고 버전별로 보관한다.
+// 저장된 버전이 없으면 버전 0 = 코드 기본값(DEFAULT_WEIGHTS + WEIGHTS_<SECTION> 환경변수).
+// 상태 형태: { [section]: { active, versions: [{ version, weights, createdAt, note, rolledBackFrom? }] } }
+class WeightProfileService {
+  constructor() {
+    this.store = new PersistentStore('weight-profiles');
+    this.maxVersions = Number(process.env.WEIGHT_PROFILE_MAX_VERSIONS || 50);
+    // 다른 인스턴스의 변경도 다음 랭킹에 반영되도록 짧게만 캐시
+    this.refreshMs = Number(process.env.WEIGHT_PROFILE_REFRESH_MS || 5000);
+    this.state = null;
+    this.loadedAt = 0;
+    this.maxWeight = 10;
+  }
+
+  async load(force = false) {
+    if (!force && this.state && Date.now() - this.loadedAt < this.refreshMs) return this.state;
+    const saved = await this.store.load({});
+    this.state = saved && typeof saved === 'object' ? saved : {};
+    this.loadedAt = Date.now();
+    return this.state;
+  }
+
+  defaultProfile(section) {
+    return { section, version: 0, weights: { ...getSectionWeights(section) }, source: 'default' };
+  }
+
+  // 다음 랭킹 패스에서 사용할 현재 프로필
+  async getProfile(section) {
+    const state = await this.load();
+    const entry = state[section];
+    const active = entry?.versions.find(v => v.version === entry.active);
+    if (!active) return this.defaultProfile(section);
+    return { section, version: active.version, weights: { ...active.weights }, source: 'custom' };
+  }
+
+  async listProfiles(sections = Object.keys(SECTION_WEIGHTS)) {
+    return Promise.all(sections.map(section => this.getProfile(section)));
+  }
+
+  async getHistory(section) {
+    const state = await this.load(true);
+    const entry = state[section];
+    return {
+      current: await this.getProfile(section),
+      versions: entry ? [...entry.versions].reverse() : []
+    };
+  }
+
+  validate(weights) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      return ['weights must be an object'];
+    }
+    const errors = [];
+    Object.keys(weights).forEach(key => {
+      if (!WEIGHT_KEYS.includes(key)) errors.push(`unknown weight "${key}"`);
+    });
+    WEIGHT_KEYS.forEach(key => {
+      const value = weights[key];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > this.maxWeight) {
+        errors.push(`"${key}" must be a number between 0 and ${this.maxWeight}`);
+      }
+    });
+    return errors;
+  }
+
+  // 일부 키만 보내도 현재 프로필에 덮어써 새 버전을 만든다
+  async update(section, weights, { note = '' } = {}) {
+    const current = await this.getProfile(section);
+    const merged = { ...current.weights, ...(weights && typeof weights === 'object' ? weights : {}) };
+    const errors = this.validate(weights && typeof weights === 'object' ? merged : weights);
+    if (errors.length > 0) {
+      return { success: false, error: 'Invalid weights', details: errors };
+    }
+    const profile = await this.addVersion(section, merged, { note });
+    logger.info(`Weight profile for ${section} updated to v${profile.version}`);
+    return { success: true, data: profile };
+  }
+
+  // 이전 버전(기본: 현재 직전 버전)의 가중치로 새 버전을 만든다. 버전 0은 코드 기본값.
+  async rollback(section, version) {
+    const state = await this.load(true);
+    const entry = state[section];
+    const current = await this.getProfile(section);
+
+    let targetVersion = version;
+    if (targetVersion === undefined || targetVersion === null) {
+      const older = (entry?.versions || []).filter(v => v.version < current.version);
+      targetVersion = older.length > 0 ? older[older.length - 1].version : 0;
+    }
+
+    const target = Number(targetVersion) === 0
+      ? this.defaultProfile(section)
+      : entry?.versions.find(v => v.version === Number(targetVersion));
+    if (!target) {
+      return { success: false, error: `Version ${targetVersion} not found` };
+    }
+    if (current.version === 0 && target.version === 0) {
+      return { success: false, error: 'Already using default weights' };
+    }
+
+    const profile = await this.addVersion(section, target.weights, {
+      note: `rollback to v${target.version}`,
+      rolledBackFrom: current.version
+    });
+    logger.info(`Weight profile for ${section} rolled back to v${target.version} (now v${profile.version})`);
+    return { success: true, data: profile };
+  }
+
+  async addVersion(section, weights, { note = '', rolledBackFrom } = {}) {
+    const state = await this.load(true);
+    const entry = state[section] || { active: 0, versions: [] };
+    const version = entry.versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+    const record = { version, weights: { ...weights }, createdAt: new Date().toISOString(), note };
+    if (rolledBackFrom !== undefined) record.rolledBackFrom = rolledBackFrom;
+
+    entry.versions = [...entry.versions, record].slice(-this.maxVersions);
+    entry.active = version;
+    state[section] = entry;
+
+    await this.store.save(state);
+    this.loadedAt = Date.now();
+    return { section, version, weights: { ...record.weights }, source: 'custom' };
+  }
+
+  getStatus() {
+    return {
+      store: this.store.describe(),
+      customSections: Object.keys(this.state || {}),
+      refreshMs: this.refreshMs
+    };
+  }
+}
+
+module.exports = new WeightProfileService();
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { PersistentStore } = require('../utils/persistentstore');
+
+// YouTube 채널 레지스트리: 채널 ID별 섹션, 이름, 국가, 사용 여부, 우선순위, 수집 주기(분).
+// 초기값은 src/config/youtubechannels.json (YOUTUBE_CHANNELS_FILE로 변경 가능)이고,
+// 관리자 API로 수정하면 버전이 올라간 레지스트리 전체가 저장소에 보관되어 이후에는 저장본이 우선한다.
+// 채널별 마지막 수집 시각은 실행 상태라 메모리에만 둔다.
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '../config/youtubechannels.json');
+const FIELDS = ['section', 'name', 'country', 'enabled', 'priority', 'intervalMinutes'];
+const DEFAULTS = { country: null, enabled: true, priority: 50, intervalMinutes: 60 };
+
+class YouTubeChannelRegistry {
+  constructor() {
+    this.file = process.env.YOUTUBE_CHANNELS_FILE || DEFAULT_REGISTRY_PATH;
+    this.store = new PersistentStore('youtube-channels');
+    this.data = this.loadFile();
+    this.lastFetchedAt = new Map();
+    this.ready = this.load();
+  }
+
+  loadFile() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      logger.error(`YouTube channel file load failed: ${error.message}`);
+      return { version: 0, channels: {} };
+    }
+  }
+
+  async load() {
+    const stored = await this.store.load(null);
+    if (stored && stored.channels) {
+      this.data = stored;
+      logger.info(`Loaded YouTube channel registry v${stored.version}`);
+    }
+  }
+
+  list(section = null) {
+    return Object.entries(this.data.channels)
+      .filter(([, channel]) => !section || channel.section === section)
+      .map(([id, channel]) => ({
+        id,
+        ...channel,
+        lastFetchedAt: this.lastFetchedAt.has(id) ? new Date(this.lastFetchedAt.get(id)).toISOString() : null
+      }))
+      .sort((a, b) => a.section.localeCompare(b.section) || b.priority - a.priority);
+  }
+
+  get(id) {
+    const channel = this.data.channels[id];
+    return channel ? { id, ...channel } : null;
+  }
+
+  isDue(id, channel, now) {
+    const last = this.lastFetchedAt.get(id);
+    return last === undefined || now - last >= channel.intervalMinutes * 60 * 1000;
+  }
+
+  /**
+   * 이번 수집 주기에 가져올 채널: 사용 중이고 수집 주기가 돌아온 채널을
+   * 우선순위 높은 순 → 오래 전에 수집한 순으로 최대 limit개.
+   * 수집한 채널은 주기가 지날 때까지 빠지므로 다음 주기에는 다른 채널이 차례를 받는다.
+   */
+  selectDue(section, limit, now = Date.now()) {
+    return Object.entries(this.data.channels)
+      .filter(([id, channel]) => channel.section === section && channel.enabled && this.isDue(id, channel, now))
+      .sort(([idA, a], [idB, b]) =>
+        b.priority - a.priority || (this.lastFetchedAt.get(idA) ?? 0) - (this.lastFetchedAt.get(idB) ?? 0)
+      )
+      .slice(0, limit)
+      .map(([id, channel]) => ({ id, ...channel }));
+  }
+
+  enabledIds(section) {
+    return Object.entries(this.data.channels)
+      .filter(([, channel]) => channel.section === section && channel.enabled)
+      .map(([id]) => id);
+  }
+
+  // 사용 중인 채널이 있는 섹션
+  sections() {
+    return [...new Set(Object.values(this.data.channels)
+      .filter(channel => channel.enabled)
+      .map(channel => channel.section))];
+  }
+
+  markFetched(id, at = Date.now()) {
+    this.lastFetchedAt.set(id, at);
+  }
+
+  validate(id, channel, validSections) {
+    const errors = [];
+    if (!/^UC[\w-]{22}$/.test(id)) errors.push('id must be a YouTube channel ID (UC + 22 characters)');
+    Object.keys(channel).forEach(key => {
+      if (!FIELDS.includes(key)) errors.push(`unknown field "${key}"`);
+    });
+    if (!validSections.includes(channel.section)) errors.push(`section must be one of ${validSections.join(', ')}`);
+    if (typeof channel.name !== 'string' || !channel.name.trim()) errors.push('name is required');
+    if (channel.country !== null && !/^[A-Z]{2}$/.test(channel.country)) errors.push('country must be a 2-letter code or null');
+    if (typeof channel.enabled !== 'boolean') errors.push('enabled must be a boolean');
+    if (!Number.isInteger(channel.priority) || channel.priority < 0 || channel.priority > 100) {
+      errors.push('priority must be an integer between 0 and 100');
+    }
+    if (!Number.isInteger(channel.intervalMinutes) || channel.intervalMinutes < 5 || channel.intervalMinutes > 7 * 24 * 60) {
+      errors.push('intervalMinutes must be an integer between 5 and 10080');
+    }
+    return errors;
+  }
+
+  // 채널 생성/수정 (기존 채널이면 보낸 필드만 덮어씀)
+  async upsert(id, fields = {}, validSections = []) {
+    await this.ready;
+    const channel = { ...DEFAULTS, ...(this.data.channels[id] || {}), ...fields };
+    const errors = this.validate(id, channel, validSections);
+    if (errors.length > 0) return { success: false, error: 'Invalid channel', details: errors };
+
+    const change = `${this.data.channels[id] ? 'update' : 'add'} ${id}`;
+    return this.commit(change, channels => { channels[id] = channel; }, id);
+  }
+
+  async remove(id) {
+    await this.ready;
+    if (!this.data.channels[id]) return { success: false, error: 'Channel not found', notFound: true };
+    this.lastFetchedAt.delete(id);
+    return this.commit(`delete ${id}`, channels => { delete channels[id]; }, id);
+  }
+
+  async commit(change, mutate, id) {
+    const channels = { ...this.data.channels };
+    mutate(channels);
+    this.data = {
+      version: (this.data.version || 0) + 1,
+      updatedAt: new Date().toISOString(),
+      change,
+      channels
+    };
+    await this.store.save(this.data);
+    logger.info(`YouTube channel registry updated to v${this.data.version} (${change})`);
+    return { success: true, data: { version: this.data.version, channel: this.get(id) } };
+  }
+
+  getStatus() {
+    const channels = Object.values(this.data.channels);
+    return {
+      version: this.data.version,
+      channels: channels.length,
+      enabled: channels.filter(channel => channel.enabled).length,
+      fetchedThisRun: this.lastFetchedAt.size,
+      store: this.store.describe()
+    };
+  }
+}
+
+module.exports = new YouTubeChannelRegistry();
@@ -0,0 +1,189 @@
+const logger = require('../utils/logger');
+const { PersistentStore } = require('../utils/persistentstore');
+
+// YouTube Data API 일일 쿼터 회계와 예산 계획
+// - 쿼터는 태평양 시간 자정에 초기화되므로 그 날짜를 기준 일자로 쓴다.
+// - 호출마다 사용 단위를 API 메서드·섹션별로 기록하고 저장소에 보관한다 (재시작해도 유지).
+// - 남은 일일 예산을 섹션 가중치(사용 중인 채널 수)대로 나누고, 초기화까지 남은 시간에 걸쳐
+//   시간 비례로 크레딧을 적립해 섹션별로 이번에 호출할 수 있는 채널 수를 정한다.
+const UNIT_COSTS = {
+  'search.list': 100,
+  'playlistItems.list': 1,
+  'channels.list': 1,
+  'videos.list': 1
+};
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 태평양 시간 기준 날짜와 자정 이후 경과 시간
+const pacificClock = (now = Date.now()) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: QUOTA_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(now)).map(part => [part.type, part.value]));
+  const sinceMidnightMs = ((Number(parts.hour) * 60 + Number(parts.minute)) * 60 + Number(parts.second)) * 1000;
+  return { day: `${parts.year}-${parts.month}-${parts.day}`, sinceMidnightMs, untilResetMs: DAY_MS - sinceMidnightMs };
+};
+
+class YouTubeQuota {
+  /**
+   * @param {Object} opts.dailyLimit - 일일 쿼터 단위 (기본: YOUTUBE_DAILY_QUOTA 또는 10000)
+   * @param {Object} opts.reserve - 수동 작업용으로 남겨둘 단위 (기본: YOUTUBE_QUOTA_RESERVE 또는 500)
+   * @param {Object} opts.saveDelayMs - 사용량 저장을 모으는 시간 (기본: YOUTUBE_QUOTA_SAVE_DELAY_MS 또는 5000)
+   */
+  constructor(opts = {}) {
+    this.dailyLimit = opts.dailyLimit ?? Number(process.env.YOUTUBE_DAILY_QUOTA || 10000);
+    this.reserve = opts.reserve ?? Number(process.env.YOUTUBE_QUOTA_RESERVE || 500);
+    this.store = new PersistentStore('youtube-quota');
+    this.state = this.emptyState(pacificClock().day);
+    this.credits = new Map(); // section → { units, at }
+    this.saveDelayMs = opts.saveDelayMs ?? Number(process.env.YOUTUBE_QUOTA_SAVE_DELAY_MS || 5000);
+    this.saveTimer = null;
+    this.ready = this.load();
+  }
+
+  emptyState(day) {
+    return { day, used: 0, calls: {}, bySection: {}, exhaustedAt: null };
+  }
+
+  async load() {
+    const saved = await this.store.load(null);
+    if (saved && saved.day === this.state.day) {
+      this.state = { ...this.emptyState(saved.day), ...saved };
+    }
+  }
+
+  // 태평양 시간 자정이 지났으면 새 날짜로 초기화
+  rollover(now = Date.now()) {
+    const { day } = pacificClock(now);
+    if (this.state.day !== day) {
+      logger.info(`YouTube quota reset for ${day} (spent ${this.state.used} units on ${this.state.day})`);
+      this.state = this.emptyState(day);
+      this.credits.clear();
+    }
+  }
+
+  remaining() {
+    this.rollover();
+    if (this.state.exhaustedAt) return 0;
+    return Math.max(0, this.dailyLimit - this.reserve - this.state.used);
+  }
+
+  canSpend(method, count = 1) {
+    return this.remaining() >= UNIT_COSTS[method] * count;
+  }
+
+  async spend(method, section, count = 1) {
+    this.rollover();
+    const units = UNIT_COSTS[method] * count;
+    this.state.used += units;
+    this.state.calls[method] = (this.state.calls[method] || 0) + count;
+    this.state.bySection[section] = (this.state.bySection[section] || 0) + units;
+
+    const credit = this.credits.get(section);
+    if (credit) credit.units -= units;
+
+    this.scheduleSave();
+    return units;
+  }
+
+  // 호출마다 저장하지 않고 saveDelayMs 동안 모아서 한 번에 저장 (비정상 종료 시 그 사이 사용량만 유실)
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.flush().catch(error => logger.warn(`YouTube quota save failed: ${error.message}`));
+    }, this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  async flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.store.save(this.state);
+  }
+
+  // API가 quotaExceeded(403)를 돌려주면 초기화까지 호출 중단
+  async markExhausted() {
+    this.rollover();
+    if (!this.state.exhaustedAt) {
+      this.state.exhaustedAt = new Date().toISOString();
+      logger.warn(`YouTube API quota exhausted (tracked ${this.state.used}/${this.dailyLimit} units), pausing until reset`);
+      await this.flush();
+    }
+  }
+
+  // 섹션별 남은 일일 예산 (가중치 비례)
+  plan(weights, now = Date.now()) {
+    this.rollover(now);
+    const { untilResetMs } = pacificClock(now);
+    const remaining = this.remaining();
+    const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+    return Object.fromEntries(Object.entries(weights).map(([section, weight]) => {
+      const budget = remaining * weight / totalWeight;
+      return [section, { budget, unitsPerHour: budget / (untilResetMs / 3600000) }];
+    }));
+  }
+
+  /**
+   * 이번 호출에서 섹션이 쓸 수 있는 채널 수.
+   * 크레딧은 섹션 예산을 초기화까지 남은 시간에 고르게 나눈 속도로 적립되며, 한 수집 주기분까지만 쌓인다.
+   * @param {string} section - 섹션
+   * @param {Object} weights - 섹션별 가중치
+   * @param {number} unitsPerChannel - 채널 1개 수집에 드는 단위
+   * @param {number} cycleMs - 수집 주기
+   */
+  channelsAllowed(section, weights, unitsPerChannel, cycleMs, now = Date.now()) {
+    const { unitsPerHour } = this.plan(weights, now)[section] || { unitsPerHour: 0 };
+    const rate = unitsPerHour / 3600000;
+    const cap = Math.max(unitsPerChannel, rate * cycleMs);
+    const credit = this.credits.get(section) || { units: cap, at: now };
+    credit.units = Math.min(cap, credit.units + rate * (now - credit.at));
+    credit.at = now;
+    this.credits.set(section, credit);
+
+    const affordable = Math.floor(this.remaining() / unitsPerChannel);
+    return Math.max(0, Math.min(affordable, Math.floor(credit.units / unitsPerChannel)));
+  }
+
+  // 하루 평균 소모 속도로 본 예상 소진 시각 (초기화 전에 소진되지 않으면 null)
+  getStatus(weights = {}, now = Date.now()) {
+    this.rollover(now);
+    const { sinceMidnightMs, untilResetMs } = pacificClock(now);
+    const usable = Math.max(0, this.dailyLimit - this.reserve);
+    const remaining = this.remaining();
+    const burnPerMs = sinceMidnightMs > 0 ? this.state.used / sinceMidnightMs : 0;
+    const msToExhaustion = burnPerMs > 0 ? remaining / burnPerMs : Infinity;
+
+    return {
+      day: this.state.day,
+      timeZone: QUOTA_TIME_ZONE,
+      dailyLimit: this.dailyLimit,
+      reserve: this.reserve,
+      used: this.state.used,
+      remaining,
+      calls: this.state.calls,
+      bySection: this.state.bySection,
+      exhaustedAt: this.state.exhaustedAt,
+      resetAt: new Date(now + untilResetMs).toISOString(),
+      burnRatePerHour: Math.round(burnPerMs * 3600000 * 10) / 10,
+      projectedUsedAtReset: Math.round(this.state.used + burnPerMs * untilResetMs),
+      projectedExhaustionAt: this.state.exhaustedAt || (msToExhaustion < untilResetMs
+        ? new Date(now + msToExhaustion).toISOString()
+        : null),
+      willExhaust: Boolean(this.state.exhaustedAt) || this.state.used + burnPerMs * untilResetMs > usable,
+      plan: Object.fromEntries(Object.entries(this.plan(weights, now)).map(([section, p]) => [section, {
+        budget: Math.round(p.budget),
+        unitsPerHour: Math.round(p.unitsPerHour * 10) / 10
+      }])),
+      store: this.store.describe()
+    };
+  }
+}
+
+module.exports = { UNIT_COSTS, YouTubeQuota };
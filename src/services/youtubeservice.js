@@ -1,75 +1,84 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
-const database = require('../config/database');
+const { SharedCache } = require('../utils/sharedcache');
+const youtubeChannels = require('./youtubechannels');
+const { UNIT_COSTS, YouTubeQuota } = require('./youtubequota');
+
+const VIDEOS_LIST_MAX_IDS = 50; // videos.list 한 번에 조회 가능한 ID 수
+
+// ISO 8601 기간(PT1H2M3S, P1DT2H) → 초
+// 라이브 중이거나 예정된(upcoming) 방송은 P0D로 오므로 호출부(videoDetails)에서 길이 없음(null)으로 처리한다
+const parseISODuration = (iso) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(iso || '');
+  if (!match) return null;
+  const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return Math.round(((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds));
+};
+
+// 초 → "1:02:03" / "4:05"
+const formatDuration = (total) => {
+  if (total === null) return null;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
 
 class YouTubeService {
   constructor() {
     this.apiKey = process.env.YOUTUBE_API_KEY;
-    this.channels = this.initializeChannels();
+    // 채널 목록은 레지스트리(src/services/youtubechannels.js)에서 관리
+    this.channels = youtubeChannels;
     this.cache = new Map();
+    // 섹션 영상 목록 캐시 (Redis 연결 시 인스턴스 간 공유, 아니면 프로세스 로컬)
+    this.videoCache = new SharedCache('youtube');
+
+    // 수집 주기마다 섹션당 최대 channelsPerCycle개 채널만 호출하고 (우선순위·채널별 주기 순번),
+    // 나머지 채널은 마지막 수집 결과로 섹션 목록에 참여한다
+    this.channelsPerCycle = Number(process.env.YOUTUBE_CHANNELS_PER_CYCLE || 3);
+    this.channelVideos = new Map();
+    this.updateInterval = 30 * 60 * 1000; // 30 minutes
+
+    // 일일 쿼터 회계/예산 계획 (채널 수집은 uploads 재생목록 playlistItems.list = 1단위)
+    this.quota = new YouTubeQuota();
+
+    // 이 길이(초) 이하의 라이브가 아닌 영상은 Shorts로 본다
+    this.shortsMaxSeconds = Number(process.env.YOUTUBE_SHORTS_MAX_SECONDS || 60);
   }
 
-  initializeChannels() {
-    return {
-      world: [
-        { id: 'UCYfdidRxbB8Qhf0Nx7ioOYw', name: 'CNN', country: 'US' },
-        { id: 'UC16niRr50-MSBwiO3YDb3RA', name: 'BBC News', country: 'UK' },
-        { id: 'UCaXkIU1QidjPwiAYu6GcHjg', name: 'FRANCE 24 English', country: 'FR' },
-        { id: 'UCZaT_X_mc0BI-djXOlfhqWQ', name: 'Al Jazeera English', country: 'QA' },
-        { id: 'UC4SUWizzKc1tptprBkWjX2Q', name: 'Sky News', country: 'UK' }
-      ],
-      kr: [
-        { id: 'UC-i2ywiuvjvpTy2zW-tXfkw', name: 'KBS News', country: 'KR' },
-        { id: 'UCXMqAKSrSlX_EMBuiUECsXw', name: 'SBS 뉴스', country: 'KR' },
-        { id: 'UCcQTRi69dsVYHN3exePtZ1A', name: 'MBC 뉴스', country: 'KR' },
-        { id: 'UChlgI3UHCOnwUGzWzbJ3H5w', name: 'YTN', country: 'KR' },
-        { id: 'UCYTRi1yt25YxUygpKv9QOVA', name: 'JTBC 뉴스', country: 'KR' }
-      ],
-      japan: [
-        { id: 'UCuTAXTexrhetbOe3zgskJBQ', name: 'ANNnewsCH', country: 'JP' },
-        { id: 'UCGCZAYq5Xxojl_tSXcVJhiQ', name: 'TBS NEWS', country: 'JP' },
-        { id: 'UCwtnCld6KVFvhsJ5FH8yZHA', name: 'FNNプライムオンライン', country: 'JP' },
-        { id: 'UCJTBCWaUK3MS4jRJpbz3L-A', name: 'ABEMAニュース', country: 'JP' },
-        { id: 'UCOzfNN3bJOKAoT7ES_PYydw', name: 'TBSニュース', country: 'JP' }
-      ],
-      tech: [
-        { id: 'UCBJycsmduvYEL83R_U4JriQ', name: 'Marques Brownlee', country: 'US' },
-        { id: 'UCeeFfhMcJa1kjtfZAGskOCA', name: 'TechCrunch', country: 'US' },
-        { id: 'UCXIJgqnII2ZOINSWNOGFThA', name: 'The Verge', country: 'US' },
-        { id: 'UCnhkJUPUQl46F4XaGlRTJGg', name: 'TechLinked', country: 'US' },
-        { id: 'UC6kRhSAGAQoyYQKrhNNnhfg', name: 'Tom Scott', country: 'UK' }
-      ],
-      business: [
-        { id: 'UCrp_UI8XtuYfpiqluWLD7Lw', name: 'Bloomberg Markets and Finance', country: 'US' },
-        { id: 'UCd2BQPEO4zE0ofYL0-yVNzg', name: 'CNBC', country: 'US' },
-        { id: 'UCV7daBIt7WYDRiPyBBxMpRw', name: 'Financial Times', country: 'UK' },
-        { id: 'UCAuUUnT6oDeKwE6v1NGQxug', name: 'Forbes', country: 'US' },
-        { id: 'UCZl_8ATWlECyLrLXGqy1Flg', name: 'Wall Street Journal', country: 'US' }
-      ],
-      buzz: [
-        { id: 'UCpko_-a4wgz2u_DgDgd9fqA', name: 'BuzzFeed Video', country: 'US' },
-        { id: 'UClgRkhTL3_hImCAmdLfDE4g', name: 'Mashable', country: 'US' },
-        { id: 'UCRija3stNXqb-6Zj4c8r1Cg', name: 'UNILAD', country: 'UK' },
-        { id: 'UCaO6VoaYJv4kS-TQO_M-N_g', name: 'LADbible', country: 'UK' },
-        { id: 'UCvFApMFo_AafXbeMDwuTiMw', name: 'Vox', country: 'US' }
-      ]
-    };
+  // 예산 배분 가중치: 섹션별 사용 중인 채널 수
+  sectionWeights() {
+    const weights = {};
+    this.channels.list().filter(channel => channel.enabled).forEach(channel => {
+      weights[channel.section] = (weights[channel.section] || 0) + 1;
+    });
+    return weights;
   }
 
-  async getVideos(section = 'world') {
+  unitsPerChannel() {
+    return UNIT_COSTS['playlistItems.list'];
+  }
+
+  /**
+   * 섹션 영상 목록
+   * @param {string} section - 섹션
+   * @param {Object} filters - { minDuration, maxDuration (초), live, excludeShorts } (목록을 자르기 전에 적용)
+   */
+  async getVideos(section = 'world', filters = {}) {
     try {
-      const cacheKey = `youtube:${section}`;
+      const cacheKey = section;
       
       // Check cache first
       const cached = await this.getCachedVideos(cacheKey);
       if (cached && cached.length > 0) {
         logger.info(`📺 Returning cached YouTube videos for ${section} (${cached.length} videos)`);
+        const filtered = this.filterVideos(cached, filters);
         return {
           success: true,
           data: {
             section,
-            videos: cached.slice(0, 10),
-            total: cached.length,
+            videos: filtered.slice(0, 10),
+            total: filtered.length,
             timestamp: new Date().toISOString(),
             cached: true
           }
@@ -78,12 +87,13 @@ class YouTubeService {
 
       // Fetch fresh videos if API key is available
       if (!this.apiKey) {
+        const mock = this.filterVideos(this.getMockVideos(section), filters);
         return {
           success: true,
           data: {
             section,
-            videos: this.getMockVideos(section),
-            total: 10,
+            videos: mock,
+            total: mock.length,
             timestamp: new Date().toISOString(),
             mock: true
           }
@@ -97,12 +107,13 @@ class YouTubeService {
 
       logger.info(`📺 Fetched ${videos.length} YouTube videos for ${section}`);
 
+      const filtered = this.filterVideos(videos, filters);
       return {
         success: true,
         data: {
           section,
-          videos: videos.slice(0, 10),
-          total: videos.length,
+          videos: filtered.slice(0, 10),
+          total: filtered.length,
           timestamp: new Date().toISOString(),
           cached: false
         }
@@ -112,12 +123,13 @@ class YouTubeService {
       logger.error(`YouTube videos fetch failed for ${section}:`, error);
       
       // Return mock data on error
+      const mock = this.filterVideos(this.getMockVideos(section), filters);
       return {
         success: true,
         data: {
           section,
-          videos: this.getMockVideos(section),
-          total: 10,
+          videos: mock,
+          total: mock.length,
           timestamp: new Date().toISOString(),
           fallback: true
         }
@@ -126,65 +138,157 @@ class YouTubeService {
   }
 
   async fetchVideosForSection(section) {
-    const channels = this.channels[section] || this.channels.world;
-    const allVideos = [];
+    await Promise.all([this.channels.ready, this.quota.ready]);
+    // 남은 일일 예산을 섹션별로 나눈 만큼만 호출
+    const allowed = this.quota.channelsAllowed(section, this.sectionWeights(), this.unitsPerChannel(), this.updateInterval);
+    const due = this.channels.selectDue(section, Math.min(this.channelsPerCycle, allowed));
 
-    for (const channel of channels.slice(0, 3)) { // Limit to 3 channels to avoid quota issues
+    const fetched = [];
+    for (const channel of due) {
+      // 실패해도 차례는 소모 (실패 채널이 매 주기 쿼터를 쓰지 않도록)
+      this.channels.markFetched(channel.id);
       try {
-        const videos = await this.fetchChannelVideos(channel);
-        allVideos.push(...videos);
+        fetched.push([channel.id, await this.fetchChannelVideos(channel)]);
       } catch (error) {
         logger.warn(`Failed to fetch videos from ${channel.name}:`, error.message);
       }
     }
 
+    // 이번에 가져온 영상의 길이·조회수·라이브 여부를 videos.list로 묶어서 보강 (50개당 1단위)
+    const details = await this.fetchVideoDetails(section, fetched.flatMap(([, videos]) => videos.map(video => video.id)));
+    fetched.forEach(([id, videos]) => {
+      this.channelVideos.set(id, videos.map(video => ({ ...video, ...details.get(video.id) })));
+    });
+
+    // 이번 주기에 차례가 아니었던 채널도 마지막 수집 결과로 참여
+    const allVideos = this.channels.enabledIds(section).flatMap(id => this.channelVideos.get(id) || []);
+
     // Sort by publish date and remove duplicates
+    // 여기서 자르지 않고 전체를 캐시해, getVideos의 필터가 자르기 전의 목록에 적용되도록 한다
+    // (채널당 최근 5개라 섹션 목록은 채널 수 × 5를 넘지 않음)
     const sortedVideos = allVideos
-      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
-      .slice(0, 20);
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
 
     return this.removeDuplicates(sortedVideos);
   }
 
+  // 채널 uploads 재생목록(UC… → UU…)의 최근 영상 (search.list 100단위 대신 playlistItems.list 1단위)
   async fetchChannelVideos(channel) {
+    if (!this.quota.canSpend('playlistItems.list')) {
+      throw new Error('YouTube daily quota budget exhausted');
+    }
+
     try {
-      // Get recent uploads from channel
-      const searchResponse = await axios.get('https://www.googleapis.com/youtube/v3/search', {
+      const response = await axios.get('https://www.googleapis.com/youtube/v3/playlistItems', {
         params: {
           key: this.apiKey,
-          channelId: channel.id,
-          part: 'snippet',
-          order: 'date',
-          type: 'video',
-          maxResults: 5,
-          publishedAfter: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString() // Last 7 days
+          playlistId: `UU${channel.id.slice(2)}`,
+          part: 'snippet,contentDetails',
+          maxResults: 5
         },
         timeout: 10000
       });
+      await this.quota.spend('playlistItems.list', channel.section);
 
-      const videos = searchResponse.data.items.map(item => ({
-        id: item.id.videoId,
-        title: this.cleanTitle(item.snippet.title),
-        description: this.cleanDescription(item.snippet.description),
-        thumbnail: item.snippet.thumbnails.medium?.url || item.snippet.thumbnails.default?.url,
-        channelName: channel.name,
-        publishedAt: item.snippet.publishedAt,
-        url: `https://www.youtube.com/watch?v=${item.id.videoId}`,
-        duration: null, // Will be fetched if needed
-        viewCount: null, // Will be fetched if needed
-        country: channel.country
-      }));
+      const publishedAfter = Date.now() - 7 * 24 * 60 * 60 * 1000; // Last 7 days
+      const videos = response.data.items
+        .map(item => ({ item, publishedAt: item.contentDetails?.videoPublishedAt || item.snippet.publishedAt }))
+        .filter(({ item, publishedAt }) =>
+          item.snippet.thumbnails && publishedAt && new Date(publishedAt).getTime() >= publishedAfter // 비공개/삭제 영상 제외
+        )
+        .map(({ item, publishedAt }) => ({
+          id: item.contentDetails?.videoId || item.snippet.resourceId.videoId,
+          title: this.cleanTitle(item.snippet.title),
+          description: this.cleanDescription(item.snippet.description),
+          thumbnail: item.snippet.thumbnails.medium?.url || item.snippet.thumbnails.default?.url,
+          channelName: channel.name,
+          publishedAt,
+          url: `https://www.youtube.com/watch?v=${item.contentDetails?.videoId || item.snippet.resourceId.videoId}`,
+          duration: null, // videos.list 보강 (fetchVideoDetails)
+          viewCount: null,
+          country: channel.country
+        }));
 
       return videos;
 
     } catch (error) {
-      if (error.response?.status === 403) {
-        logger.warn('YouTube API quota exceeded');
+      if (error.response) {
+        // 오류 응답도 쿼터를 소모한다
+        await this.quota.spend('playlistItems.list', channel.section);
+      }
+      const reason = error.response?.data?.error?.errors?.[0]?.reason;
+      if (error.response?.status === 403 && ['quotaExceeded', 'dailyLimitExceeded'].includes(reason)) {
+        await this.quota.markExhausted();
       }
       throw error;
     }
   }
 
+  // videos.list (contentDetails, statistics, liveStreamingDetails) → 영상 ID별 보강 필드
+  async fetchVideoDetails(section, ids) {
+    const details = new Map();
+    const unique = [...new Set(ids)];
+
+    for (let i = 0; i < unique.length; i += VIDEOS_LIST_MAX_IDS) {
+      if (!this.quota.canSpend('videos.list')) {
+        logger.warn(`Skipping YouTube video details for ${section}: quota budget exhausted`);
+        break;
+      }
+      try {
+        const response = await axios.get('https://www.googleapis.com/youtube/v3/videos', {
+          params: {
+            key: this.apiKey,
+            id: unique.slice(i, i + VIDEOS_LIST_MAX_IDS).join(','),
+            part: 'contentDetails,statistics,liveStreamingDetails'
+          },
+          timeout: 10000
+        });
+        await this.quota.spend('videos.list', section);
+        response.data.items.forEach(item => details.set(item.id, this.videoDetails(item)));
+      } catch (error) {
+        if (error.response) {
+          await this.quota.spend('videos.list', section);
+        }
+        const reason = error.response?.data?.error?.errors?.[0]?.reason;
+        if (error.response?.status === 403 && ['quotaExceeded', 'dailyLimitExceeded'].includes(reason)) {
+          await this.quota.markExhausted();
+        }
+        logger.warn(`YouTube video details failed for ${section}:`, error.message);
+        break;
+      }
+    }
+    return details;
+  }
+
+  videoDetails(item) {
+    const live = item.liveStreamingDetails || null;
+    const isLive = Boolean(live?.actualStartTime && !live.actualEndTime);
+    const isUpcoming = Boolean(live?.scheduledStartTime && !live.actualStartTime);
+    const duration = isLive || isUpcoming ? null : parseISODuration(item.contentDetails?.duration);
+    const count = (value) => (value === undefined ? null : Number(value)); // 비공개 통계는 null
+    return {
+      duration,
+      durationText: formatDuration(duration),
+      viewCount: count(item.statistics?.viewCount),
+      likeCount: count(item.statistics?.likeCount),
+      live: isLive,
+      upcoming: isUpcoming,
+      concurrentViewers: isLive ? count(live.concurrentViewers) : null,
+      isShort: duration !== null && duration <= this.shortsMaxSeconds
+    };
+  }
+
+  // 길이 조건은 길이를 아는 영상만 통과, excludeShorts는 Shorts로 확인된 영상만 제외
+  filterVideos(videos, { minDuration, maxDuration, live, excludeShorts } = {}) {
+    return videos.filter(video => {
+      if (minDuration !== undefined && !(video.duration >= minDuration)) return false;
+      if (maxDuration !== undefined && !(video.duration !== null && video.duration <= maxDuration)) return false;
+      if (live && !video.live) return false;
+      if (excludeShorts && video.isShort) return false;
+      return true;
+    });
+  }
+
   getMockVideos(section) {
     const mockData = {
       world: [
@@ -296,13 +400,7 @@ class YouTubeService {
 
   async getCachedVideos(cacheKey) {
     try {
-      const client = database.getClient();
-      if (!client || !client.isOpen) return null;
-      
-      const cached = await client.get(cacheKey);
-      if (cached) {
-        return JSON.parse(cached);
-      }
+      return await this.videoCache.get(cacheKey);
     } catch (error) {
       logger.warn('YouTube cache read failed:', error.message);
     }
@@ -311,10 +409,7 @@ class YouTubeService {
 
   async cacheVideos(cacheKey, videos) {
     try {
-      const client = database.getClient();
-      if (!client || !client.isOpen) return;
-      
-      await client.setEx(cacheKey, 1800, JSON.stringify(videos)); // 30 minutes TTL
+      await this.videoCache.set(cacheKey, videos, 1800); // 30 minutes TTL
       logger.info(`📺 Cached ${videos.length} YouTube videos for ${cacheKey}`);
     } catch (error) {
       logger.warn('YouTube cache write failed:', error.message);
@@ -323,7 +418,7 @@ class YouTubeService {
 
   startBackgroundUpdates() {
     // Update every 30 minutes
-    const UPDATE_INTERVAL = 30 * 60 * 1000;
+    const UPDATE_INTERVAL = this.updateInterval;
     
     // Initial update after 2 minutes
     setTimeout(() => {
@@ -338,9 +433,11 @@ class YouTubeService {
     logger.info('📺 YouTube background updates started (30-minute interval)');
   }
 
+  // 레지스트리에서 사용 중인 채널이 있는 섹션만 (관리자 API로 추가된 섹션 포함)
   async updateAllSections() {
-    const sections = ['world', 'kr', 'japan', 'tech', 'business', 'buzz'];
-    
+    await this.channels.ready;
+    const sections = this.channels.sections();
+
     for (const section of sections) {
       try {
         await this.getVideos(section);
@@ -355,7 +452,10 @@ class YouTubeService {
   getStatus() {
     return {
       hasApiKey: !!this.apiKey,
-      channelCount: Object.values(this.channels).reduce((total, channels) => total + channels.length, 0),
+      channelCount: Object.keys(this.channels.data.channels).length,
+      channels: this.channels.getStatus(),
+      channelsPerCycle: this.channelsPerCycle,
+      quota: this.quota.getStatus(this.sectionWeights()),
       cacheSize: this.cache.size
     };
   }
@@ -0,0 +1,139 @@
+// 섹션 기사 목록을 RSS 2.0 / Atom 1.0 / JSON Feed 1.1 형식으로 직렬화
+
+const FEED_TITLE = 'EmarkNews';
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? new Date() : date;
+};
+
+const articleTitle = (article) => article.titleKo || article.title || '';
+
+const articleSummary = (article) => article.descriptionKo || article.description || '';
+
+// 요약 포인트를 HTML 목록으로 (없으면 요약문)
+const summaryHtml = (article) => {
+  const points = article.summaryPoints || [];
+  if (points.length === 0) return `<p>${escapeXml(articleSummary(article))}</p>`;
+  return `<ul>${points.map(point => `<li>${escapeXml(point)}</li>`).join('')}</ul>`;
+};
+
+const feedMeta = (section, { baseUrl, format }) => ({
+  title: `${FEED_TITLE} - ${section}`,
+  homeUrl: `${baseUrl}/`,
+  feedUrl: `${baseUrl}/api/feed/${section}.${format}`,
+  description: `${FEED_TITLE} ${section} 섹션 최신 뉴스`
+});
+
+function toRSS(section, articles, options) {
+  const meta = feedMeta(section, { ...options, format: 'rss' });
+  const items = articles.map(article => [
+    '    <item>',
+    `      <title>${escapeXml(articleTitle(article))}</title>`,
+    `      <link>${escapeXml(article.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(article.id)}</guid>`,
+    `      <pubDate>${toDate(article.publishedAt).toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(articleSummary(article))}</description>`,
+    `      <content:encoded><![CDATA[${summaryHtml(article)}]]></content:encoded>`,
+    `      <dc:creator>${escapeXml(article.source)}</dc:creator>`,
+    ...(article.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>`),
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(meta.title)}</title>`,
+    `    <link>${escapeXml(meta.homeUrl)}</link>`,
+    `    <description>${escapeXml(meta.description)}</description>`,
+    '    <language>ko</language>',
+    `    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(meta.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>'
+  ].join('\n');
+}
+
+function toAtom(section, articles, options) {
+  const meta = feedMeta(section, { ...options, format: 'atom' });
+  const updated = articles.length > 0
+    ? new Date(Math.max(...articles.map(a => toDate(a.publishedAt).getTime())))
+    : new Date();
+  const entries = articles.map(article => [
+    '  <entry>',
+    `    <id>urn:emarknews:article:${escapeXml(article.id)}</id>`,
+    `    <title>${escapeXml(articleTitle(article))}</title>`,
+    `    <link href="${escapeXml(article.url)}"/>`,
+    `    <published>${toDate(article.publishedAt).toISOString()}</published>`,
+    `    <updated>${toDate(article.publishedAt).toISOString()}</updated>`,
+    `    <author><name>${escapeXml(article.source)}</name></author>`,
+    `    <summary>${escapeXml(articleSummary(article))}</summary>`,
+    `    <content type="html">${escapeXml(summaryHtml(article))}</content>`,
+    ...(article.tags || []).map(tag => `    <category term="${escapeXml(tag)}"/>`),
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="ko">',
+    `  <id>${escapeXml(meta.feedUrl)}</id>`,
+    `  <title>${escapeXml(meta.title)}</title>`,
+    `  <subtitle>${escapeXml(meta.description)}</subtitle>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(meta.feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(meta.homeUrl)}"/>`,
+    ...entries,
+    '</feed>'
+  ].join('\n');
+}
+
+function toJSONFeed(section, articles, options) {
+  const meta = feedMeta(section, { ...options, format: 'json' });
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: meta.title,
+    home_page_url: meta.homeUrl,
+    feed_url: meta.feedUrl,
+    description: meta.description,
+    language: 'ko',
+    items: articles.map(article => ({
+      id: article.id,
+      url: article.url,
+      title: articleTitle(article),
+      summary: articleSummary(article),
+      content_html: summaryHtml(article),
+      date_published: toDate(article.publishedAt).toISOString(),
+      image: article.urlToImage || undefined,
+      authors: [{ name: article.source }],
+      tags: article.tags || [],
+      _emarknews: {
+        section,
+        originalTitle: article.title,
+        summaryPoints: article.summaryPoints || [],
+        rating: article.rating
+      }
+    }))
+  };
+}
+
+const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', serialize: toRSS },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', serialize: toAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', serialize: (...args) => JSON.stringify(toJSONFeed(...args)) }
+};
+
+module.exports = {
+  FEED_FORMATS,
+  toRSS,
+  toAtom,
+  toJSONFeed
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const redisClient = require('../config/redis');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+let tmpCounter = 0;
+
+// 재시작 후에도 유지되어야 하는 작은 JSON 상태 저장소
+// Redis가 연결되어 있으면 `store:<name>` 키(만료 없음), 아니면 DATA_DIR/<name>.json 파일에 보관한다.
+class PersistentStore {
+  constructor(name, { dir = DATA_DIR } = {}) {
+    this.name = name;
+    this.file = path.join(dir, `${name}.json`);
+    this.pending = Promise.resolve();
+  }
+
+  key() {
+    return `store:${this.name}`;
+  }
+
+  // 서비스들은 require 시점에 load()를 호출하므로, 앱이 시작한 Redis 연결 시도가 끝날 때까지 기다린 뒤
+  // 백엔드를 고른다 (그렇지 않으면 Redis에 저장된 상태 대신 파일을 읽고 다음 save()가 덮어쓴다)
+  async load(fallback = null) {
+    if (await redisClient.waitForConnection()) {
+      const shared = await redisClient.get(this.key());
+      if (shared !== null) return shared;
+    }
+
+    try {
+      const raw = await fs.promises.readFile(this.file, 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Persistent store "${this.name}" read failed: ${error.message}`);
+      }
+      return fallback;
+    }
+  }
+
+  // 같은 저장소의 저장은 순서대로 하나씩 (동시에 저장하면 늦게 시작한 쪽이 먼저 끝나 이전 값으로 덮일 수 있음)
+  save(value) {
+    const run = this.pending.then(() => this.write(value));
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  async write(value) {
+    if (await redisClient.waitForConnection()) {
+      const saved = await redisClient.set(this.key(), value, null);
+      if (saved) return true;
+    }
+
+    // 임시 파일에 쓴 뒤 rename해서 중간에 끊겨도 이전 내용이 남도록 한다 (임시 파일명은 쓰기마다 고유)
+    try {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.${++tmpCounter}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(value, null, 2));
+      await fs.promises.rename(tmp, this.file);
+      return true;
+    } catch (error) {
+      logger.warn(`Persistent store "${this.name}" write failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  describe() {
+    return { name: this.name, backend: redisClient.isConnected ? 'redis' : 'file' };
+  }
+}
+
+module.exports = { DATA_DIR, PersistentStore };
@@ -0,0 +1,155 @@
+// 섹션 랭킹: 최신성·반응 속도·참여도·출처 신뢰도·다양성·로케일 가중합
+// (updated_files/newsService.js의 rankAndSort를 현재 기사 형태에 맞게 옮긴 것)
+
+const sourceReliability = require('../services/sourcereliability');
+
+const RANK_TAU_MIN = Number(process.env.RANK_TAU_MIN || 90);
+const BETA = 1000; // 참여도 계산 상수
+const DIVERSITY_PENALTY_BASE = 0.1; // 다양성 패널티 기본 계수
+
+// 섹션별 가중치 프로필 (f: 최신성, v: 반응 속도, e: 참여도, s: 신뢰도, d: 다양성 패널티, l: 로케일)
+const DEFAULT_WEIGHTS = {
+  buzz: { f: 0.25, v: 0.40, e: 0.15, s: 0.10, d: 0.05, l: 0.05 },
+  world: { f: 0.35, v: 0.15, e: 0.10, s: 0.30, d: 0.05, l: 0.05 },
+  kr: { f: 0.30, v: 0.20, e: 0.10, s: 0.30, d: 0.05, l: 0.05 },
+  japan: { f: 0.30, v: 0.20, e: 0.10, s: 0.30, d: 0.05, l: 0.05 },
+  business: { f: 0.25, v: 0.20, e: 0.20, s: 0.30, d: 0.03, l: 0.02 },
+  tech: { f: 0.20, v: 0.40, e: 0.20, s: 0.15, d: 0.03, l: 0.02 }
+};
+
+const WEIGHT_KEYS = ['f', 'v', 'e', 's', 'd', 'l'];
+
+// 섹션별 로케일 우선 (그 외 섹션은 ko/ja/en 모두 일치로 본다)
+const LOCALE_PREFS = { kr: 'ko', japan: 'ja' };
+
+// 환경변수 오버라이드 파서: WEIGHTS_<SECTION>="f,v,e,s,d,l"
+const parseWeight = (envVal, fallback) => {
+  if (!envVal) return fallback;
+  const values = envVal.split(',').map(Number);
+  if (values.length !== WEIGHT_KEYS.length || values.some(Number.isNaN)) return fallback;
+  return Object.fromEntries(WEIGHT_KEYS.map((key, i) => [key, values[i]]));
+};
+
+const SECTION_WEIGHTS = Object.fromEntries(
+  Object.entries(DEFAULT_WEIGHTS).map(([section, weights]) => [
+    section,
+    parseWeight(process.env[`WEIGHTS_${section.toUpperCase()}`], weights)
+  ])
+);
+
+const getSectionWeights = (section) => SECTION_WEIGHTS[section] || SECTION_WEIGHTS.buzz;
+
+const domainFromUrl = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return 'unknown';
+  }
+};
+
+const minutesSince = (iso, now = Date.now()) => {
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) return 99999;
+  return Math.max(0, (now - date.getTime()) / 60000);
+};
+
+const freshness = (ageMin) => Math.exp(-ageMin / RANK_TAU_MIN);
+
+// 출처 신뢰도 (0-1): 기사에 trust가 있으면 우선, 없으면 출처 신뢰도 레지스트리 등급
+const sourceTrust = (article, domain) => {
+  if (typeof article.trust === 'number') return Math.min(1, article.trust);
+  return sourceReliability.trustFor({ ...article, domain });
+};
+
+// 랭킹 요인 원값: 반응 속도와 참여도는 다른 요인과 같은 0-1 범위로 자른다
+const rankingSignals = (section, article, now) => {
+  const ageMin = minutesSince(article.publishedAt, now);
+  const reactions = article.reactions || 0;
+  const language = (article.language || 'und').slice(0, 2);
+  const domain = article.domain || domainFromUrl(article.url);
+  return {
+    domain,
+    ageMin,
+    fresh: freshness(ageMin),
+    vel: Math.min(1, reactions / Math.max(1, ageMin)), // reactions per minute
+    eng: Math.min(1, reactions / Math.max(1, (article.followers || 0) + BETA)),
+    trust: sourceTrust(article, domain),
+    localeMatch: (LOCALE_PREFS[section] ? language === LOCALE_PREFS[section] : ['ko', 'ja', 'en'].includes(language)) ? 1 : 0
+  };
+};
+
+const COMPONENTS = [
+  ['freshness', 'f', '_fresh', 1],
+  ['velocity', 'v', 'vel', 1],
+  ['engagement', 'e', 'eng', 1],
+  ['trust', 's', '_trust', 1],
+  ['diversityPenalty', 'd', '_divp', -1],
+  ['localeMatch', 'l', 'localeMatch', 1]
+];
+
+/**
+ * 섹션 가중치로 기사를 정렬한다.
+ * 같은 도메인의 세 번째 기사부터 다양성 패널티가 붙으며(입력 순서 기준),
+ * 각 기사에는 점수와 요인별 가중 기여도, 패널티로 인한 순위 변화가 `ranking`으로 붙는다.
+ * @param {string} section - 섹션
+ * @param {Array} articles - 기사 목록 (최신순 입력 권장)
+ * @param {Object} opts.weights - 가중치 프로필 (기본: 섹션 프로필)
+ * @param {number} opts.now - 기준 시각(ms). 스냅샷 재생 시 수집 시각을 넘긴다 (기본: 현재)
+ * @returns {Array} 점수 내림차순으로 정렬된 기사
+ */
+const rankAndSort = (section, articles, { weights = getSectionWeights(section), now = Date.now() } = {}) => {
+  const domainCounts = {};
+  const scored = articles.map(article => {
+    const signals = rankingSignals(section, article, now);
+    domainCounts[signals.domain] = (domainCounts[signals.domain] || 0) + 1;
+    const values = {
+      _fresh: signals.fresh,
+      vel: signals.vel,
+      eng: signals.eng,
+      _trust: signals.trust,
+      _divp: Math.min(1, DIVERSITY_PENALTY_BASE * Math.max(0, domainCounts[signals.domain] - 2)),
+      localeMatch: signals.localeMatch
+    };
+
+    const components = Object.fromEntries(COMPONENTS.map(([name, key, field, sign]) => [name, {
+      value: values[field],
+      weight: weights[key],
+      contribution: sign * weights[key] * values[field]
+    }]));
+    const score = Object.values(components).reduce((sum, c) => sum + c.contribution, 0);
+    const penalty = components.diversityPenalty.contribution;
+
+    return { article, signals, score, scoreWithoutDiversity: score - penalty, components };
+  });
+
+  const order = (key) => (a, b) =>
+    b[key] - a[key] || a.signals.ageMin - b.signals.ageMin || b.signals.trust - a.signals.trust;
+
+  const withoutDiversity = [...scored].sort(order('scoreWithoutDiversity'));
+  const positionWithoutDiversity = new Map(withoutDiversity.map((entry, i) => [entry, i + 1]));
+
+  return [...scored].sort(order('score')).map((entry, i) => {
+    const before = positionWithoutDiversity.get(entry);
+    return {
+      ...entry.article,
+      ranking: {
+        score: entry.score,
+        position: i + 1,
+        positionWithoutDiversity: before,
+        positionChange: before - (i + 1), // 음수: 다양성 패널티로 내려감
+        domain: entry.signals.domain,
+        ageMin: Math.round(entry.signals.ageMin),
+        components: entry.components
+      }
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  SECTION_WEIGHTS,
+  WEIGHT_KEYS,
+  getSectionWeights,
+  domainFromUrl,
+  rankAndSort
+};
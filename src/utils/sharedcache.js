@@ -0,0 +1,49 @@
+const logger = require('./logger');
+const redisClient = require('../config/redis');
+
+// TTL 캐시: Redis(src/config/redis.js)가 연결되어 있으면 `<prefix>:<key>`로 인스턴스 간 공유하고,
+// 아니면 프로세스 로컬 Map에 만료 시각과 함께 보관한다 (오래된 항목부터 maxLocal개까지).
+class SharedCache {
+  constructor(prefix, { maxLocal = 500 } = {}) {
+    this.prefix = prefix;
+    this.maxLocal = maxLocal;
+    this.local = new Map();
+  }
+
+  key(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  async get(key) {
+    if (await redisClient.waitForConnection()) {
+      return redisClient.get(this.key(key));
+    }
+
+    const entry = this.local.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.local.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSec) {
+    if (await redisClient.waitForConnection()) {
+      const saved = await redisClient.set(this.key(key), value, ttlSec);
+      if (saved) return true;
+      logger.warn(`Shared cache "${this.prefix}" write failed, keeping ${key} locally`);
+    }
+
+    this.local.delete(key);
+    this.local.set(key, { value, expiresAt: Date.now() + ttlSec * 1000 });
+    if (this.local.size > this.maxLocal) this.local.delete(this.local.keys().next().value);
+    return true;
+  }
+
+  describe() {
+    return { prefix: this.prefix, backend: redisClient.isConnected ? 'redis' : 'local', localEntries: this.local.size };
+  }
+}
+
+module.exports = { SharedCache };
@@ -0,0 +1,117 @@
+// 근사 중복 기사 군집화 (shingling + MinHash)
+// 같은 사건을 다룬 여러 매체의 기사를 하나의 "스토리"로 묶는다.
+
+const NUM_HASHES = 128;
+const SHINGLE_SIZE = 3;
+const DEFAULT_THRESHOLD = Number(process.env.STORY_SIMILARITY_THRESHOLD || 0.4);
+
+// 고정 시드 해시 계수 (재시작해도 같은 시그니처)
+const HASH_COEFFS = Array.from({ length: NUM_HASHES }, (_, i) => [
+  (Math.imul(i + 1, 0x9e3779b1) | 1) >>> 0,
+  Math.imul(i + 1, 0x85ebca6b) >>> 0
+]);
+
+const fnv1a = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const normalizeText = (text) => (text || '')
+  .toLowerCase()
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// 문자 n-gram: 띄어쓰기 없는 한·중·일 제목과 굴절형(israel/israeli)을 함께 다룬다
+function shingles(text, size = SHINGLE_SIZE) {
+  const normalized = normalizeText(text);
+  const set = new Set();
+  if (normalized.length <= size) {
+    if (normalized) set.add(normalized);
+    return set;
+  }
+  for (let i = 0; i <= normalized.length - size; i++) {
+    set.add(normalized.slice(i, i + size));
+  }
+  return set;
+}
+
+function minhash(shingleSet) {
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    const base = fnv1a(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const [a, b] = HASH_COEFFS[i];
+      const value = (Math.imul(a, base) + b) >>> 0;
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+function estimateSimilarity(sigA, sigB) {
+  if (!sigA || !sigB) return 0;
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (sigA[i] === sigB[i]) same++;
+  }
+  return same / NUM_HASHES;
+}
+
+function signatureOf(article) {
+  const title = shingles(article.title);
+  const description = shingles((article.description || '').slice(0, 300));
+  return {
+    title: title.size > 0 ? minhash(title) : null,
+    description: description.size > 0 ? minhash(description) : null
+  };
+}
+
+// 제목 유사도 위주, 설명이 양쪽에 있으면 30% 반영
+function articleSimilarity(sigA, sigB) {
+  const titleSim = estimateSimilarity(sigA.title, sigB.title);
+  if (!sigA.description || !sigB.description) return titleSim;
+  return Math.max(titleSim, 0.7 * titleSim + 0.3 * estimateSimilarity(sigA.description, sigB.description));
+}
+
+/**
+ * 기사 목록을 스토리 단위로 군집화 (탐욕적 평균 연결)
+ * 기사를 순서대로 보며 기존 군집 구성원과의 평균 유사도가 threshold 이상인 군집 중 가장 가까운 곳에 넣는다.
+ * 쌍 하나만 닮아도 합치는 단일 연결은 A~B, B~C처럼 조금씩 닮은 제목이 사슬로 이어져 거대한 스토리가 되므로 쓰지 않는다.
+ * @param {Array} articles - 정규화된 기사 목록
+ * @param {Object} opts
+ * @param {number} opts.threshold - 같은 스토리로 볼 최소 유사도 (0~1)
+ * @returns {Array<Array>} 입력 순서를 유지한 군집 목록
+ */
+function clusterStories(articles, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const signatures = articles.map(signatureOf);
+  const clusters = [];
+
+  articles.forEach((_, i) => {
+    let best = null;
+    let bestScore = 0;
+    for (const members of clusters) {
+      const score = members.reduce((sum, j) => sum + articleSimilarity(signatures[i], signatures[j]), 0) / members.length;
+      if (score >= threshold && (!best || score > bestScore)) {
+        best = members;
+        bestScore = score;
+      }
+    }
+    if (best) best.push(i);
+    else clusters.push([i]);
+  });
+
+  return clusters.map(members => members.map(i => articles[i]));
+}
+
+module.exports = {
+  shingles,
+  minhash,
+  estimateSimilarity,
+  clusterStories
+};
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-routes-'));
+process.env.ADMIN_TOKEN = 'test-token';
+delete process.env.REDIS_URL;
+
+const express = require('express');
+const adminRoutes = require('../src/routes/admin');
+const sourceReliability = require('../src/services/sourcereliability');
+
+let server;
+let baseUrl;
+const headers = { 'x-admin-token': 'test-token', 'content-type': 'application/json' };
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/admin', adminRoutes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('source registry edits return validation failures as 400', async () => {
+  const res = await fetch(`${baseUrl}/sources/example.org`, {
+    method: 'PUT', headers, body: JSON.stringify({ name: 'Example', tier: 9 })
+  });
+  const body = await res.json();
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(body.success, false);
+  assert.ok(Array.isArray(body.details));
+});
+
+test('unknown dictionaries return 404', async () => {
+  const res = await fetch(`${baseUrl}/keywords/nope`, { headers });
+  assert.strictEqual(res.status, 404);
+});
+
+test('listing sources reports store failures as 500', async () => {
+  const ready = sourceReliability.ready;
+  sourceReliability.ready = Promise.reject(new Error('store unavailable'));
+  sourceReliability.ready.catch(() => {});
+  try {
+    const res = await fetch(`${baseUrl}/sources`, { headers });
+    const body = await res.json();
+    assert.strictEqual(res.status, 500);
+    assert.strictEqual(body.error, 'Failed to list sources');
+  } finally {
+    sourceReliability.ready = ready;
+  }
+});
+
+test('the legacy RSS service rates registered sources by tier', () => {
+  const legacyNews = require('../src/services/newsService-fixed');
+  const listed = legacyNews.calculateRating('Quiet day', '', 'BBC', 'https://www.bbc.co.uk/news/1');
+  const unlisted = legacyNews.calculateRating('Quiet day', '', 'Blog', 'https://blog.example.net/1');
+  assert.strictEqual(listed, 3.3);
+  assert.strictEqual(unlisted, 3);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aiservice-scheduler-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const aiService = require('../src/services/aiservice');
+
+// 실제 호출 대신 보낸 순서만 기록하고, 예산은 테스트마다 직접 정한다
+const reset = ({ requests = Infinity, tokens = Infinity } = {}) => {
+  const order = [];
+  aiService._runTask = task => order.push(task);
+  aiService._resetExpiredLimits = () => {};
+  aiService.concurrency = Infinity;
+  aiService.running = 0;
+  aiService.inFlightTokens = 0;
+  aiService.remainingRequests = requests;
+  aiService.remainingTokens = tokens;
+  aiService.credits = { translate: 0, summarize: 0 };
+  Object.values(aiService.queues).forEach(queue => queue.splice(0));
+  return order;
+};
+
+const fill = (count) => {
+  for (let i = 0; i < count; i++) {
+    aiService._enqueue({ type: 'translate', text: 'headline' });
+    aiService._enqueue({ type: 'summarize', text: 'body' });
+  }
+};
+
+test('dispatch follows the 2:1 translate/summarize weights', () => {
+  const order = reset();
+  fill(30);
+  aiService._drain();
+  const firstNine = order.slice(0, 9).map(task => task.taskClass);
+  assert.strictEqual(firstNine.filter(c => c === 'summarize').length, 3);
+});
+
+test('credits do not accumulate while the request budget is blocked', () => {
+  const order = reset({ requests: 0 });
+  fill(30);
+  for (let i = 0; i < 1000; i++) aiService._drain();
+  assert.strictEqual(order.length, 0);
+  assert.deepStrictEqual(aiService.credits, { translate: 0, summarize: 0 });
+
+  aiService.remainingRequests = Infinity;
+  aiService._drain();
+  assert.strictEqual(order.slice(0, 9).filter(task => task.taskClass === 'summarize').length, 3);
+});
+
+test('an oversized head task lets the other class go first', () => {
+  const order = reset({ tokens: 1000 });
+  aiService._enqueue({ type: 'translate', text: 'x'.repeat(20000) });
+  aiService._enqueue({ type: 'summarize', text: 'short body' });
+  aiService._drain();
+
+  assert.deepStrictEqual(order.map(task => task.taskClass), ['summarize']);
+  assert.strictEqual(aiService.queues.translate.length, 1);
+});
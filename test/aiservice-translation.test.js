@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'aiservice-translation-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const aiService = require('../src/services/aiservice');
+
+// 큐 대신 고정 응답으로 번역 작업을 끝낸다
+const answerWith = (translate) => {
+  aiService._enqueue = task => task.resolve(translate(task.text));
+};
+
+test('script detection separates English from other Latin-script text', () => {
+  assert.strictEqual(aiService.detectLanguage('Fed raises rates by a quarter point amid inflation'), 'en');
+  assert.strictEqual(aiService.detectLanguage('Bonjour le monde'), 'und');
+  assert.strictEqual(aiService.detectLanguage('Die Regierung plant neue Steuern für das Jahr'), 'und');
+  assert.strictEqual(aiService.detectLanguage('한국 경제 성장률 발표'), 'ko');
+  assert.strictEqual(aiService.detectLanguage('東京で地震'), 'ja');
+});
+
+test('kanji-only Japanese output is accepted for ja targets', async () => {
+  answerWith(() => '東京株式市場続落');
+  assert.strictEqual(await aiService.translate('Tokyo stocks extend losses', 'ja'), '東京株式市場続落');
+});
+
+test('output still in the source language is rejected', async () => {
+  answerWith(text => text);
+  assert.strictEqual(await aiService.translate('Markets rally on jobs data', 'ko'), 'Markets rally on jobs data');
+  assert.strictEqual(await aiService._cachedTranslation('Markets rally on jobs data', 'ko'), null);
+});
+
+test('legacy Korean cache entries are migrated and a ko miss counts once', async () => {
+  await aiService._cacheSet(aiService._cacheKey('tr', 'Legacy headline'), '예전 번역 제목');
+  assert.strictEqual(await aiService._cachedTranslation('Legacy headline', 'ko'), '예전 번역 제목');
+  assert.ok(aiService.cache.has(aiService._cacheKey('tr:ko', 'Legacy headline')));
+
+  const before = aiService.cacheStats.misses;
+  await aiService._cachedTranslation('Never translated', 'ko');
+  assert.strictEqual(aiService.cacheStats.misses - before, 1);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-routes-'));
+delete process.env.REDIS_URL;
+
+const express = require('express');
+const NewsService = require('../src/services/newsService');
+const apiRoutes = require('../src/routes/api');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const news = new NewsService();
+  news.collectFromSource = async () => [];
+  await news.writeSectionCache('world', {
+    articles: [{ id: 'world_1', title: 'Quarterly growth beats forecasts', url: 'https://example.com/1', ranking: { score: 0.8 } }],
+    total: 1,
+    rankingProfile: { section: 'world', version: 3, weights: {} }
+  });
+
+  const app = express();
+  app.locals.news = news;
+  app.use('/api', apiRoutes);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('section news strips internal ranking fields', async () => {
+  const body = await (await fetch(`${baseUrl}/news/world`)).json();
+  assert.strictEqual(body.data.articles[0].title, 'Quarterly growth beats forecasts');
+  assert.strictEqual(body.data.articles[0].ranking, undefined);
+  assert.strictEqual(body.data.rankingProfile, undefined);
+});
+
+test('explain=true keeps the ranking explanation', async () => {
+  const body = await (await fetch(`${baseUrl}/news/world?explain=true`)).json();
+  assert.deepStrictEqual(body.data.articles[0].ranking, { score: 0.8 });
+  assert.strictEqual(body.data.explain.profile.version, 3);
+});
+
+test('search results use the public article shape', async () => {
+  const body = await (await fetch(`${baseUrl}/search?q=growth&section=world`)).json();
+  assert.strictEqual(body.data.total, 1);
+  assert.strictEqual(body.data.results[0].ranking, undefined);
+});
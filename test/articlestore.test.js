@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'articlestore-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const freshStore = () => {
+  delete require.cache[require.resolve('../src/services/articlestore')];
+  return require('../src/services/articlestore');
+};
+
+test('articles survive a restart through the persistent store', async () => {
+  const store = freshStore();
+  await store.save({ id: 'world_abc', title: 'Stored headline' });
+  await store.flush();
+
+  const restarted = freshStore();
+  const article = await restarted.get('world_abc');
+  assert.strictEqual(article.title, 'Stored headline');
+});
+
+test('expired articles are not returned', async () => {
+  const store = freshStore();
+  store.ttl = -1;
+  await store.save({ id: 'world_old', title: 'Expired' });
+  assert.strictEqual(await store.get('world_old'), null);
+});
+
+test('saving again replaces the stored copy', async () => {
+  const store = freshStore();
+  await store.save({ id: 'world_lead', coverageCount: 1 });
+  await store.save({ id: 'world_lead', coverageCount: 4 });
+  assert.strictEqual((await store.get('world_lead')).coverageCount, 4);
+});
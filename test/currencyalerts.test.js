@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'currencyalerts-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const currencyAlerts = require('../src/services/currencyalerts');
+
+const quote = (rate) => ({ tradingDate: '2026-10-16', base: 'KRW', rates: { USD: { rate } } });
+
+test('evaluation saves only when a rule changes state', async () => {
+  await currencyAlerts.createRule({
+    code: 'USD', type: 'above', threshold: 1400, webhookUrl: 'https://hooks.example.com/fx'
+  }, ['USD']);
+
+  let saves = 0;
+  const save = currencyAlerts.save;
+  currencyAlerts.save = async function () {
+    saves++;
+    return save.call(this);
+  };
+  const delivered = [];
+  currencyAlerts.deliver = async (rule, payload) => { delivered.push(payload.event); };
+
+  try {
+    assert.strictEqual(await currencyAlerts.evaluate(quote(1390)), 0);
+    assert.strictEqual(saves, 0);
+
+    assert.strictEqual(await currencyAlerts.evaluate(quote(1410)), 1);
+    assert.strictEqual(saves, 1);
+
+    assert.strictEqual(await currencyAlerts.evaluate(quote(1420)), 0);
+    assert.strictEqual(saves, 1);
+
+    assert.strictEqual(await currencyAlerts.evaluate(quote(1395)), 0); // 조건 해제 → 다시 대기
+    assert.strictEqual(saves, 2);
+    assert.deepStrictEqual(delivered, ['rate.above']);
+  } finally {
+    currencyAlerts.save = save;
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'currencyquorum-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const currencyService = require('../src/services/currencyservice');
+
+// 업스트림마다 USD 기준 KRW 호가만 다르게 응답
+const quorumRates = (answers) => {
+  currencyService.mode = 'quorum';
+  currencyService.quorum = { tolerancePercent: 1, minProviders: 2 };
+  currencyService.alerts = { evaluate: async () => 0 };
+  currencyService.providers = () => answers.map(([source, krwPerUsd]) => [source, async () => ({
+    base: 'USD',
+    quotes: { KRW: krwPerUsd, JPY: 150, EUR: 0.9, CNY: 7.1 },
+    timestamp: '2026-10-16'
+  })]);
+  return currencyService.fetchRates();
+};
+
+test('agreeing providers produce the median rate', async () => {
+  const data = await quorumRates([['a', 1400], ['b', 1402], ['c', 1401]]);
+  assert.strictEqual(data.rates.USD.rate, 1401);
+  assert.ok(data.rates.USD.provenance.quorumMet);
+  assert.ok(!data.degraded);
+});
+
+test('an outlier provider is rejected', async () => {
+  const data = await quorumRates([['a', 1400], ['b', 1402], ['c', 1500]]);
+  const { provenance } = data.rates.USD;
+  assert.strictEqual(data.rates.USD.rate, 1401);
+  assert.strictEqual(provenance.rejected, 1);
+  assert.ok(provenance.quorumMet);
+});
+
+test('when every provider disagrees the first answer is used and flagged as degraded', async () => {
+  const data = await quorumRates([['a', 1400], ['b', 1500]]);
+  const usd = data.rates.USD;
+  assert.strictEqual(usd.rate, 1400);
+  assert.strictEqual(usd.provenance.fallbackSource, 'a');
+  assert.strictEqual(usd.provenance.quorumMet, false);
+  assert.strictEqual(usd.degraded, true);
+  assert.ok(data.degraded.includes('USD'));
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'currencyservice-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const currencyService = require('../src/services/currencyservice');
+
+const rates = (usd) => ({ USD: usd, JPY: 9.1, EUR: 1460, timestamp: '2026-10-16T00:00:00Z' });
+
+test('unchanged or too-frequent snapshots are not recorded', async () => {
+  currencyService.history = { snapshots: [], daily: {} };
+  currencyService.snapshotMinIntervalMs = 0;
+
+  await currencyService.recordSnapshot(rates(1380), 'test');
+  await currencyService.recordSnapshot(rates(1380), 'test');
+  assert.strictEqual(currencyService.history.snapshots.length, 1);
+  assert.strictEqual(currencyService.history.daily['2026-10-16'].samples, 1);
+
+  await currencyService.recordSnapshot(rates(1381), 'test');
+  assert.strictEqual(currencyService.history.snapshots.length, 2);
+
+  currencyService.snapshotMinIntervalMs = 60 * 1000;
+  await currencyService.recordSnapshot(rates(1382), 'test');
+  assert.strictEqual(currencyService.history.snapshots.length, 2);
+  assert.strictEqual(currencyService.history.daily['2026-10-16'].close.USD, 1381);
+});
+
+test('fetched rates are served from the shared cache until they expire', async () => {
+  let fetches = 0;
+  const original = currencyService.fetchRates;
+  currencyService.fetchRates = async () => {
+    fetches++;
+    return { timestamp: new Date().toISOString(), base: 'KRW', rates: {} };
+  };
+  try {
+    const first = await currencyService.getCurrencyRates();
+    const second = await currencyService.getCurrencyRates();
+    assert.strictEqual(first.cached, false);
+    assert.strictEqual(second.cached, true);
+    assert.strictEqual(fetches, 1);
+  } finally {
+    currencyService.fetchRates = original;
+  }
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProvider, createTaskProviders } = require('../src/services/llm');
+
+test('task providers fall back to the default for an unknown LLM_PROVIDER', () => {
+  const providers = createTaskProviders({ LLM_PROVIDER: 'nope' });
+  assert.strictEqual(providers.translate.name, 'openai');
+  assert.strictEqual(providers.summarize, providers.translate);
+});
+
+test('an unknown per-task provider falls back to LLM_PROVIDER', () => {
+  const providers = createTaskProviders({ LLM_PROVIDER: 'stub', LLM_PROVIDER_SUMMARIZE: 'typo' });
+  assert.strictEqual(providers.summarize.name, 'stub');
+  assert.strictEqual(providers.summarize, providers.translate);
+});
+
+test('per-task overrides share instances by provider name', () => {
+  const providers = createTaskProviders({ LLM_PROVIDER: 'stub', LLM_PROVIDER_DETAILED_SUMMARY: 'compatible' });
+  assert.strictEqual(providers.detailedSummary.name, 'compatible');
+  assert.strictEqual(providers.translate, providers.summarize);
+});
+
+test('createProvider still rejects unknown names when called directly', () => {
+  assert.throws(() => createProvider('nope'), /Unknown LLM provider/);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'newsservice-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const NewsService = require('../src/services/newsService');
+
+const serviceWithoutFetching = () => {
+  const news = new NewsService();
+  news.collectFromSource = async () => {
+    throw new Error('article lookups must not trigger a fetch');
+  };
+  return news;
+};
+
+test('article lookup falls back to the cached section list', async () => {
+  const news = serviceWithoutFetching();
+  await news.writeSectionCache('world', { articles: [{ id: 'world_cached', title: 'From cache' }] });
+
+  const result = await news.getArticleById('world', 'world_cached');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.data.title, 'From cache');
+});
+
+test('unknown article ids miss without fetching the section', async () => {
+  const news = serviceWithoutFetching();
+  const result = await news.getArticleById('world', 'world_unknown');
+  assert.strictEqual(result.success, false);
+});
+
+test('new-article events carry the public article shape', () => {
+  const news = serviceWithoutFetching();
+  const events = [];
+  news.events.on('articles', payload => events.push(payload));
+
+  news.publishNewArticles('world', [{ id: 'world_new', title: 'Fresh', ranking: { score: 0.9 } }]);
+  assert.strictEqual(events.length, 1);
+  assert.deepStrictEqual(events[0].articles, [{ id: 'world_new', title: 'Fresh' }]);
+});
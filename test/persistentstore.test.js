@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'persistentstore-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { PersistentStore } = require('../src/utils/persistentstore');
+
+test('concurrent saves all succeed and the last one wins', async () => {
+  const store = new PersistentStore('concurrent', { dir });
+  const results = await Promise.all(Array.from({ length: 20 }, (_, i) => store.save({ version: i })));
+
+  assert.ok(results.every(Boolean));
+  assert.deepStrictEqual(await store.load(), { version: 19 });
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('two instances of the same store do not share a temp file', async () => {
+  const first = new PersistentStore('shared', { dir });
+  const second = new PersistentStore('shared', { dir });
+  const results = await Promise.all([first.save({ from: 'first' }), second.save({ from: 'second' })]);
+
+  assert.deepStrictEqual(results, [true, true]);
+  assert.ok(['first', 'second'].includes((await first.load()).from));
+});
+
+test('load returns the fallback when nothing was saved', async () => {
+  assert.strictEqual(await new PersistentStore('missing', { dir }).load('fallback'), 'fallback');
+});
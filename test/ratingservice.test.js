@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ratingservice-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const keywordDictionary = require('../src/services/keyworddictionary');
+const ratingService = require('../src/services/ratingservice');
+
+test('urgency and engagement follow the keyword dictionaries', async () => {
+  await keywordDictionary.ready;
+  const article = { title: 'Latest flood update', description: 'Officials release figures' };
+  assert.strictEqual(ratingService.calculateUrgency(article), 0.6); // base + developing
+  assert.strictEqual(ratingService.calculateEngagementPotential(article), 0.3);
+
+  await keywordDictionary.addKeywords('urgent', 'en', ['flood']);
+  await keywordDictionary.addKeywords('engaging', 'en', ['figures']);
+  assert.strictEqual(ratingService.calculateUrgency(article), 1);
+  assert.strictEqual(ratingService.calculateEngagementPotential(article), 0.7);
+
+  await keywordDictionary.removeKeywords('developing', 'en', ['latest', 'update']);
+  assert.strictEqual(ratingService.calculateUrgency(article), 0.8);
+});
+
+test('ranking dictionaries cannot be deleted', async () => {
+  const result = await keywordDictionary.remove('popular');
+  assert.strictEqual(result.success, false);
+  assert.ok(keywordDictionary.get('popular'));
+});
+
+test('stored dictionaries from before a core dictionary existed get its defaults', async () => {
+  const { PersistentStore } = require('../src/utils/persistentstore');
+  await new PersistentStore('keyword-dictionaries').save({
+    version: 3,
+    dictionaries: { urgent: { tag: '긴급', kind: 'category', entries: { en: ['breaking'] } } }
+  });
+
+  delete require.cache[require.resolve('../src/services/keyworddictionary')];
+  const restarted = require('../src/services/keyworddictionary');
+  await restarted.ready;
+  assert.strictEqual(restarted.list().version, 3);
+  assert.ok(restarted.matches('developing', 'latest update'));
+  assert.ok(!restarted.matches('urgent', 'emergency'));
+});
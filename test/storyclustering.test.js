@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { clusterStories } = require('../src/utils/storyclustering');
+
+const titles = list => list.map(title => ({ title }));
+
+test('near-duplicate headlines form one story', () => {
+  const stories = clusterStories(titles([
+    'Fed raises interest rates by a quarter point',
+    'Fed raises interest rates by quarter point, signals more hikes',
+    'Fed raises rates by a quarter point',
+    'Samsung unveils new foldable phone lineup'
+  ]));
+  assert.deepStrictEqual(stories.map(story => story.length), [3, 1]);
+});
+
+// 인접한 제목끼리만 닮은 사슬: 0~1, 1~2, 2~3은 임계값 이상이지만 0과 3은 무관
+test('loosely similar headlines do not chain into one story', () => {
+  const chain = titles([
+    'Israel and Hamas agree to ceasefire deal in Gaza',
+    'Israel and Hamas agree to ceasefire deal as hostages set for release',
+    'Ceasefire deal as hostages set for release on Monday',
+    'Hostages set for release on Monday as prisoners are freed',
+    'Prisoners are freed on Monday as crowds gather in Ramallah'
+  ]);
+  const stories = clusterStories(chain);
+  assert.ok(Math.max(...stories.map(story => story.length)) <= 2);
+  assert.ok(!stories.some(story => story.includes(chain[0]) && story.includes(chain[3])));
+});
+
+test('stories keep the input order of their first article', () => {
+  const articles = titles(['Alpha launch delayed again', 'Beta merger approved', 'Alpha launch delayed again by weather']);
+  const stories = clusterStories(articles);
+  assert.strictEqual(stories[0][0], articles[0]);
+  assert.strictEqual(stories[1][0], articles[1]);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'youtubeservice-'));
+delete process.env.REDIS_URL;
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const youtubeService = require('../src/services/youtubeservice');
+
+test('section videos are served from the shared cache after the first fetch', async () => {
+  let fetches = 0;
+  youtubeService.apiKey = 'test-key';
+  youtubeService.fetchVideosForSection = async () => {
+    fetches++;
+    return [{ id: 'v1', title: 'Evening briefing', duration: 300, isShort: false, isLive: false }];
+  };
+
+  const first = await youtubeService.getVideos('world');
+  const second = await youtubeService.getVideos('world');
+  assert.strictEqual(first.data.cached, false);
+  assert.strictEqual(second.data.cached, true);
+  assert.strictEqual(second.data.videos[0].id, 'v1');
+  assert.strictEqual(fetches, 1);
+});
+
+test('video details parse durations and treat live and upcoming broadcasts as having no length', () => {
+  const recorded = youtubeService.videoDetails({ contentDetails: { duration: 'PT1H2M3S' }, statistics: { viewCount: '10' } });
+  assert.strictEqual(recorded.duration, 3723);
+  assert.strictEqual(recorded.durationText, '1:02:03');
+  assert.strictEqual(recorded.isShort, false);
+
+  const short = youtubeService.videoDetails({ contentDetails: { duration: 'PT45S' } });
+  assert.strictEqual(short.isShort, true);
+
+  const live = youtubeService.videoDetails({
+    contentDetails: { duration: 'P0D' },
+    liveStreamingDetails: { actualStartTime: '2026-10-16T09:00:00Z', concurrentViewers: '1200' }
+  });
+  assert.strictEqual(live.live, true);
+  assert.strictEqual(live.duration, null);
+  assert.strictEqual(live.isShort, false);
+  assert.strictEqual(live.concurrentViewers, 1200);
+
+  const upcoming = youtubeService.videoDetails({
+    contentDetails: { duration: 'P0D' },
+    liveStreamingDetails: { scheduledStartTime: '2026-10-20T09:00:00Z' }
+  });
+  assert.strictEqual(upcoming.upcoming, true);
+  assert.strictEqual(upcoming.duration, null);
+  assert.strictEqual(upcoming.durationText, null);
+  assert.strictEqual(upcoming.isShort, false);
+});